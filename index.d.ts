@@ -2,12 +2,63 @@
 // Project: https://github.com/Ignithia/orbity.js
 // Definitions by: Ignithia <https://www.ryanvdv-portfolio.be/>
 
+import type { OrbityBackFace, OrbityDepthEffects, OrbityProjectionType, OrbityShape } from './layout';
+
+export type { OrbityBackFace, OrbityDepthEffects, OrbityProjectionType, OrbityShape };
+
+export type OrbityTagId = string | number;
+
+export type OrbityFontStyle = 'normal' | 'italic' | 'oblique';
+
+export type OrbityThemeName = 'auto' | 'light' | 'dark' | 'high-contrast';
+
+export interface OrbityThemeOptions {
+    name?: OrbityThemeName;
+    text?: string;
+    hover?: string;
+    focusRing?: string;
+    fogColor?: string | null;
+    tagColors?: boolean;
+    depthEffects?: OrbityDepthEffects;
+}
+
+export interface OrbityTheme {
+    name: Exclude<OrbityThemeName, 'auto'>;
+    text: string;
+    hover: string;
+    focusRing: string;
+    fogColor: string | null;
+    tagColors: boolean;
+    depthEffects: OrbityDepthEffects;
+}
+
 export interface OrbityTag {
+    id?: OrbityTagId;
     text?: string;
     color?: string;
     fontSize?: number;
+    weight?: number;
     imageUrl?: string;
     svg?: string;
+    href?: string;
+    target?: string;
+    rel?: string;
+    label?: string;
+    showText?: boolean;
+    fontFamily?: string;
+    fontWeight?: string | number;
+    fontStyle?: OrbityFontStyle;
+    background?: string;
+    padding?: number;
+    borderColor?: string;
+    borderWidth?: number;
+    borderRadius?: number;
+    shadowColor?: string;
+    shadowBlur?: number;
+    shadowOffsetX?: number;
+    shadowOffsetY?: number;
+    maxWidth?: number;
+    lineHeight?: number;
 }
 
 export interface OrbityOptions {
@@ -15,18 +66,34 @@ export interface OrbityOptions {
     speed?: number;
     easing?: number;
     paused?: boolean;
+    renderOnDemand?: boolean;
+    pauseWhenHidden?: boolean;
     enableTouch?: boolean;
     enableOrientation?: boolean;
     maxVelocity?: number;
     shape?: string;
     enableDrag?: boolean;
+    dragThreshold?: number;
+    touchAction?: string;
+    projection?: OrbityProjectionType;
+    fov?: number;
+    cameraDistance?: number | null;
+    depthEffects?: OrbityDepthEffects;
+    zoom?: number;
+    minZoom?: number;
+    maxZoom?: number;
+    enableWheelZoom?: boolean;
+    enablePinchZoom?: boolean;
     enableClick?: boolean;
     autoSpin?: boolean;
+    spinAxis?: OrbityVector | null;
     hoverEffect?: boolean;
     clickEffect?: boolean;
     hoverScale?: number;
-    hoverColor?: string;
+    hoverColor?: string | null;
     hoverOpacity?: number;
+    theme?: OrbityThemeName | OrbityThemeOptions;
+    motion?: OrbityMotion;
     customFont?: string;
     customFontWeight?: string;
     majorRadius?: number;
@@ -36,25 +103,237 @@ export interface OrbityOptions {
     customFriction?: number;
     autoEasing?: boolean;
     minVelocityThreshold?: number;
+    focusOrder?: 'depth' | 'reading';
+    focusKeys?: Partial<OrbityFocusKeys>;
+    accessibleMirror?: boolean;
+    announce?: boolean;
+    renderer?: 'canvas' | 'webgl' | 'dom' | OrbityRenderer;
+    maxPixelRatio?: number;
+    resizeTarget?: 'canvas' | 'container';
+    minFontSize?: number;
+    maxFontSize?: number;
+    weightScale?: 'linear' | 'log' | 'sqrt';
+    colorRamp?: string[] | null;
+    historyLimit?: number;
+    transitionDuration?: number;
+    transitionEasing?: OrbityTransitionEasing | ((progress: number) => number);
+}
+
+export interface OrbityEventBase<T extends OrbityEvent = OrbityEvent> {
+    type: T;
+    instance: Orbity;
+}
+
+export interface OrbityResizeEvent extends OrbityEventBase<'resize'> {
+    width: number;
+    height: number;
+    pixelRatio: number;
+}
+
+export interface OrbityVector {
+    x: number;
+    y: number;
+    z: number;
+}
+
+export interface OrbityQuaternion {
+    x: number;
+    y: number;
+    z: number;
+    w: number;
+}
+
+export type OrbityTransitionEasing = 'linear' | 'easeInCubic' | 'easeOutCubic' | 'easeInOutCubic';
+
+export interface OrbityTransitionOptions {
+    duration?: number;
+    easing?: OrbityTransitionEasing | ((progress: number) => number);
+}
+
+export interface OrbityTransitionEvent extends OrbityEventBase<'transitionStart' | 'transitionEnd'> {
+    shape: string;
+    duration: number;
+    interrupted?: boolean;
+}
+
+export interface OrbityHistoryChangeEvent extends OrbityEventBase<'historyChange'> {
+    canUndo: boolean;
+    canRedo: boolean;
+    undoDepth: number;
+    redoDepth: number;
+}
+
+export interface OrbitySnapshot {
+    version: number;
+    tags: OrbityTag[];
+    settings: OrbityOptions;
+    orientation?: OrbityVector[];
+    rotation?: { x: number; y: number; z?: number };
+    velocity?: { x: number; y: number; z?: number };
+}
+
+export interface OrbityRenderItem {
+    tag: OrbityTag;
+    x: number;
+    y: number;
+    scale: number;
+    fontSize: number;
+    opacity: number;
+    color: string;
+    /** Blur radius in pixels; the built-in WebGL renderer does not apply it. */
+    blur: number;
+    focused: boolean;
 }
 
-export type OrbityEvent = 'tagClick' | 'tagHover' | 'tagLeave' | 'pause' | 'resume';
+export interface OrbityRenderer {
+    /** Context the renderer claims on a canvas; renderers with different types cannot share one. */
+    readonly contextType?: '2d' | 'webgl';
+    mount(host: HTMLElement, orbity: Orbity): void;
+    resize(width: number, height: number, pixelRatio?: number): void;
+    render(items: OrbityRenderItem[]): void;
+    tagFromEvent?(event: Event): OrbityTag | null;
+    destroy(): void;
+}
+
+export type OrbityMotion = 'auto' | 'full' | 'reduced';
+
+export interface OrbityFocusKeys {
+    next: string[];
+    previous: string[];
+    activate: string[];
+    clear: string[];
+}
+
+export interface OrbitySVGOptions {
+    width?: number;
+    height?: number;
+    background?: string;
+    title?: string;
+}
+
+export type OrbityEvent = keyof OrbityEventMap;
+
+export interface OrbityTagEvent<T extends OrbityEvent = 'tagHover' | 'tagLeave' | 'tagFocus' | 'tagBlur'> extends OrbityEventBase<T> {
+    tag: OrbityTag;
+    id: OrbityTagId;
+    x: number;
+    y: number;
+    originalEvent: Event | null;
+}
+
+export interface OrbityTagClickEvent extends OrbityTagEvent<'tagClick'> {
+    defaultPrevented: boolean;
+    preventDefault(): void;
+}
+
+export interface OrbityDragEvent extends OrbityEventBase<'dragStart' | 'dragEnd'> {
+    x: number;
+    y: number;
+    velocity?: OrbityVector;
+    originalEvent: Event;
+}
+
+export interface OrbityPinchEvent extends OrbityEventBase<'pinch'> {
+    scale: number;
+    x: number;
+    y: number;
+    originalEvent: PointerEvent;
+}
+
+export interface OrbityRotateEvent extends OrbityEventBase<'rotate'> {
+    angleX: number;
+    angleY: number;
+    angleZ: number;
+    rotation: OrbityQuaternion;
+    orientation: OrbityQuaternion;
+}
+
+export interface OrbityZoomEvent extends OrbityEventBase<'zoom'> {
+    zoom: number;
+}
+
+export interface OrbityTagsChangeEvent extends OrbityEventBase<'tagsChange'> {
+    tags: OrbityTag[];
+}
+
+export interface OrbityOptionsChangeEvent extends OrbityEventBase<'optionsChange'> {
+    options: Partial<OrbityOptions>;
+    previous: Partial<OrbityOptions>;
+}
+
+export interface OrbityThemeChangeEvent extends OrbityEventBase<'themeChange'> {
+    theme: OrbityTheme;
+}
+
+export interface OrbityVisibilityChangeEvent extends OrbityEventBase<'visibilityChange'> {
+    visible: boolean;
+}
+
+export interface OrbityEventMap {
+    tagClick: OrbityTagClickEvent;
+    tagHover: OrbityTagEvent<'tagHover'>;
+    tagLeave: OrbityTagEvent<'tagLeave'>;
+    tagFocus: OrbityTagEvent<'tagFocus'>;
+    tagBlur: OrbityTagEvent<'tagBlur'>;
+    dragStart: OrbityDragEvent;
+    dragEnd: OrbityDragEvent;
+    pinch: OrbityPinchEvent;
+    rotate: OrbityRotateEvent;
+    pause: OrbityEventBase<'pause'>;
+    resume: OrbityEventBase<'resume'>;
+    resize: OrbityResizeEvent;
+    transitionStart: OrbityTransitionEvent;
+    transitionEnd: OrbityTransitionEvent;
+    historyChange: OrbityHistoryChangeEvent;
+    tagsChange: OrbityTagsChangeEvent;
+    optionsChange: OrbityOptionsChangeEvent;
+    zoom: OrbityZoomEvent;
+    themeChange: OrbityThemeChangeEvent;
+    visibilityChange: OrbityVisibilityChangeEvent;
+    destroy: OrbityEventBase<'destroy'>;
+}
 
 export default class Orbity {
-    constructor(canvas: HTMLCanvasElement, options?: OrbityOptions);
+    static registerShape(name: string, definition: OrbityShape<OrbityTag>): boolean;
+    static fromJSON(canvas: HTMLCanvasElement | HTMLElement, snapshot: OrbitySnapshot | string): Orbity | null;
+    static encodeSnapshot(snapshot: OrbitySnapshot): string;
+    static decodeSnapshot(encoded: string): OrbitySnapshot | null;
+    constructor(canvas: HTMLCanvasElement | HTMLElement, options?: OrbityOptions);
     setTags(tags: OrbityTag[]): void;
     addTag(tag: OrbityTag): void;
     removeTag(index: number): void;
     updateTag(index: number, data: Partial<OrbityTag>): void;
+    getTag(id: OrbityTagId): OrbityTag | null;
+    hasTag(id: OrbityTagId): boolean;
+    updateTagById(id: OrbityTagId, data: Partial<OrbityTag>): void;
+    removeTagById(id: OrbityTagId): void;
     clearTags(): void;
     updateOptions(options: Partial<OrbityOptions>): void;
+    setShape(name: string, options?: OrbityTransitionOptions): Promise<boolean>;
+    zoomTo(level: number, options?: OrbityTransitionOptions): Promise<boolean>;
+    getOrientation(): OrbityQuaternion;
+    setOrientation(orientation: OrbityQuaternion, options?: OrbityTransitionOptions): Promise<boolean>;
+    resetOrientation(options?: OrbityTransitionOptions): Promise<boolean>;
+    rotateBy(axis: OrbityVector, angle: number): boolean;
     undo(): void;
     redo(): void;
+    canUndo(): boolean;
+    canRedo(): boolean;
+    transaction<T>(callback: () => T): T;
     pause(): void;
     resume(): void;
     destroy(): void;
-    on(event: OrbityEvent, callback: (tag?: OrbityTag) => void): void;
-    off(event: OrbityEvent, callback?: (tag?: OrbityTag) => void): void;
+    focusTag(index: number): void;
+    blurTag(): void;
+    getTheme(): OrbityTheme;
+    refreshTheme(): void;
+    toSVG(options?: OrbitySVGOptions): string;
+    toJSON(): OrbitySnapshot;
+    restore(snapshot: OrbitySnapshot | string): boolean;
+    on<K extends OrbityEvent>(event: K, callback: (event: OrbityEventMap[K]) => void): void;
+    once<K extends OrbityEvent>(event: K, callback: (event: OrbityEventMap[K]) => void): void;
+    off<K extends OrbityEvent>(event: K, callback?: (event: OrbityEventMap[K]) => void): void;
     tags: OrbityTag[];
     settings: OrbityOptions;
+    renderer: OrbityRenderer;
 }
@@ -0,0 +1,90 @@
+// Type definitions for orbity/layout
+// Project: https://github.com/Ignithia/orbity.js
+// Definitions by: Ignithia <https://www.ryanvdv-portfolio.be/>
+
+export interface OrbityPoint {
+    x: number;
+    y: number;
+    z: number;
+}
+
+export interface OrbityLayoutOptions {
+    shape?: string;
+    radius?: number;
+    majorRadius?: number;
+    minorRadius?: number;
+    [option: string]: unknown;
+}
+
+export interface OrbityViewport {
+    width: number;
+    height: number;
+    zoom?: number;
+}
+
+export type OrbityProjectionType = 'perspective' | 'orthographic';
+
+export interface OrbityCamera {
+    projection?: OrbityProjectionType;
+    fov?: number;
+    distance?: number | null;
+    radius?: number;
+}
+
+export interface OrbityProjection {
+    x: number;
+    y: number;
+    scale: number;
+    opacity: number;
+}
+
+export type OrbityBackFace = 'visible' | 'dimmed' | 'hidden';
+
+export interface OrbityDepthEffects {
+    minOpacity?: number;
+    maxOpacity?: number;
+    scaleFalloff?: number;
+    fogColor?: string | null;
+    /** Fog tints text tags only; the WebGL renderer draws boxes in their own colors. */
+    fog?: number;
+    /** Blur radius in pixels at the back; the WebGL renderer ignores it. */
+    blur?: number;
+    backFace?: OrbityBackFace;
+}
+
+export interface OrbityDepthCues {
+    depth: number;
+    opacity: number;
+    scale: number;
+    fog: number;
+    blur: number;
+    hidden: boolean;
+}
+
+export interface OrbityLockedAxes {
+    x: boolean;
+    y: boolean;
+}
+
+export interface OrbityShape<T = any> {
+    layout(tags: T[], options: OrbityLayoutOptions & { radius: number }): Array<Partial<OrbityPoint>>;
+    lockAxes?: Partial<OrbityLockedAxes>;
+}
+
+export const DEFAULT_SHAPE: string;
+
+export function registerShape(name: string, definition: OrbityShape): boolean;
+export function getShape(name: string): OrbityShape | undefined;
+export function getShapeNames(): string[];
+export function computeLayout(tags: object[] | number, options?: OrbityLayoutOptions): OrbityPoint[];
+export function getLockedAxes(shape: string): OrbityLockedAxes;
+export function rotatePoints<T extends OrbityPoint>(points: T[], angleX: number, angleY: number): T[];
+export function rollPoints<T extends OrbityPoint>(points: T[], angle: number): T[];
+export function getFrontRotation(point: OrbityPoint, lockedAxes?: OrbityLockedAxes): { x: number; y: number };
+export const PROJECTIONS: OrbityProjectionType[];
+export const MIN_CAMERA_DISTANCE: number;
+export function getCameraDistance(camera?: OrbityCamera): number;
+export function projectPoint(point: OrbityPoint, viewport: OrbityViewport, camera?: OrbityCamera): OrbityProjection;
+export const BACK_FACES: OrbityBackFace[];
+export const DEFAULT_DEPTH_EFFECTS: Required<OrbityDepthEffects>;
+export function getDepthEffects(point: OrbityPoint, camera?: OrbityCamera, effects?: OrbityDepthEffects): OrbityDepthCues;
@@ -4,18 +4,29 @@ import terser from "@rollup/plugin-terser";
 import typescript from "@rollup/plugin-typescript";
 import { defineConfig } from "rollup";
 
+// The entry points are built together so modules they share, such as the
+// shape registry in layout.js, end up in one chunk instead of one copy per
+// bundle: a shape registered through "orbity/layout" is then seen by Orbity.
 export default defineConfig([
   {
-    input: "src/orbity.js",
+    input: {
+      orbity: "src/orbity.js",
+      "orbity-layout": "src/layout.js",
+      "orbity-svg": "src/svg.js",
+    },
     output: [
       {
-        file: "dist/orbity.esm.js",
+        dir: "dist",
         format: "esm",
+        entryFileNames: "[name].esm.js",
+        chunkFileNames: "chunks/[name]-[hash].esm.js",
         sourcemap: true,
       },
       {
-        file: "dist/orbity.cjs.js",
+        dir: "dist",
         format: "cjs",
+        entryFileNames: "[name].cjs.js",
+        chunkFileNames: "chunks/[name]-[hash].cjs.js",
         sourcemap: true,
         exports: "auto",
       },
@@ -0,0 +1,30 @@
+/* SVG tag images for Orbity.
+Renderers draw SVG tags from a blob URL. The URL is cached on the tag and
+shared by every renderer, and revoked when the markup changes, the tag is
+removed or the renderer goes away, so blobs don't pile up. */
+
+/**
+ * Returns a blob URL for a tag's `svg` markup, creating it on first use and
+ * again (revoking the old one) after the markup changed.
+ * @param {Object} tag - A tag with `svg` markup.
+ * @returns {string} The blob URL.
+ */
+export function getSvgUrl(tag) {
+  if (tag._svgUrl && tag._svgSource === tag.svg) return tag._svgUrl;
+  revokeSvgUrl(tag);
+  const blob = new Blob([tag.svg], { type: "image/svg+xml" });
+  tag._svgUrl = URL.createObjectURL(blob);
+  tag._svgSource = tag.svg;
+  return tag._svgUrl;
+}
+
+/**
+ * Revokes a tag's SVG blob URL, if it has one.
+ * @param {Object} tag - The tag.
+ */
+export function revokeSvgUrl(tag) {
+  if (!tag._svgUrl) return;
+  URL.revokeObjectURL(tag._svgUrl);
+  tag._svgUrl = null;
+  tag._svgSource = null;
+}
@@ -0,0 +1,434 @@
+/* Headless layout and projection math for Orbity.
+Nothing in this module touches the DOM, so it can run in Node for
+server-side rendering, snapshots and tests. */
+
+export const DEFAULT_SHAPE = "sphere";
+
+const shapes = new Map();
+
+/**
+ * Registers a shape that tags can be laid out in. Registering an existing
+ * name replaces that shape.
+ * @param {string} name - Shape name, used as the `shape` option.
+ * @param {Object} definition - Shape definition.
+ * @param {Function} definition.layout - `layout(tags, options)` returning one `{x, y, z}` point per tag. `options` holds the cloud settings, including `radius` and any custom shape options.
+ * @param {{x?: boolean, y?: boolean}} [definition.lockAxes] - Rotation axes to keep fixed, e.g. `{ x: true }` for a flat ring that only spins around Y.
+ * @returns {boolean} True if the shape was registered.
+ */
+export function registerShape(name, definition) {
+  if (!name || typeof name !== "string") {
+    console.error("Invalid shape: 'name' must be a non-empty string.");
+    return false;
+  }
+  if (!definition || typeof definition.layout !== "function") {
+    console.error(`Invalid shape "${name}": 'layout' must be a function.`);
+    return false;
+  }
+  shapes.set(name, {
+    layout: definition.layout,
+    lockAxes: {
+      x: !!(definition.lockAxes && definition.lockAxes.x),
+      y: !!(definition.lockAxes && definition.lockAxes.y),
+    },
+  });
+  return true;
+}
+
+/**
+ * Returns the definition of a registered shape.
+ * @param {string} name - Shape name.
+ * @returns {Object|undefined} The shape definition, if registered.
+ */
+export function getShape(name) {
+  return shapes.get(name);
+}
+
+/**
+ * Lists the names of all registered shapes.
+ * @returns {Array<string>} Shape names in registration order.
+ */
+export function getShapeNames() {
+  return [...shapes.keys()];
+}
+
+registerShape("sphere", {
+  layout(tags, { radius: R }) {
+    const N = tags.length;
+    const goldenRatio = (1 + Math.sqrt(5)) / 2;
+    const angleIncrement = Math.PI * 2 * goldenRatio;
+    return tags.map((tag, i) => {
+      const t = i / N;
+      const inclination = Math.acos(1 - 2 * t);
+      const azimuth = angleIncrement * i;
+      return {
+        x: R * Math.sin(inclination) * Math.cos(azimuth),
+        y: R * Math.sin(inclination) * Math.sin(azimuth),
+        z: R * Math.cos(inclination),
+      };
+    });
+  },
+});
+
+registerShape("cube", {
+  layout(tags, { radius: R }) {
+    const side = Math.ceil(Math.cbrt(tags.length));
+    const threshold = 0.1;
+    let validTags = 0;
+
+    return tags.map(() => {
+      let x, y, z;
+
+      do {
+        x = (validTags % side) - side / 2 + 0.5;
+        y = (Math.floor(validTags / side) % side) - side / 2 + 0.5;
+        z = Math.floor(validTags / (side * side)) - side / 2 + 0.5;
+        validTags++;
+      } while (
+        Math.abs(x) < threshold &&
+        Math.abs(y) < threshold &&
+        Math.abs(z) < threshold
+      );
+
+      return {
+        x: x * (R / side) * 2,
+        y: y * (R / side) * 2,
+        z: z * (R / side) * 2,
+      };
+    });
+  },
+});
+
+registerShape("plane", {
+  layout(tags, { radius: R }) {
+    const N = tags.length;
+    const gridCols = Math.ceil(Math.sqrt(N));
+    const gridRows = Math.ceil(N / gridCols);
+    const spacingX = (2 * R) / (gridCols - 1 || 1);
+    const spacingZ = (2 * R) / (gridRows - 1 || 1);
+    return tags.map((tag, i) => ({
+      x: -R + (i % gridCols) * spacingX,
+      y: 0,
+      z: -R + Math.floor(i / gridCols) * spacingZ,
+    }));
+  },
+});
+
+registerShape("helix", {
+  lockAxes: { x: true },
+  layout(tags, { radius: R }) {
+    const N = tags.length;
+    const turns = 2;
+    const spacing = (2 * R) / N;
+    return tags.map((tag, i) => {
+      const angle = (i / N) * 2 * Math.PI * turns;
+      return {
+        x: R * Math.cos(angle),
+        y: -R + i * spacing,
+        z: R * Math.sin(angle),
+      };
+    });
+  },
+});
+
+registerShape("ring", {
+  lockAxes: { x: true },
+  layout(tags, { radius: R }) {
+    return tags.map((tag, i) => {
+      const angle = (i / tags.length) * 2 * Math.PI;
+      return { x: R * Math.cos(angle), y: 0, z: R * Math.sin(angle) };
+    });
+  },
+});
+
+registerShape("verticalRing", {
+  lockAxes: { y: true },
+  layout(tags, { radius: R }) {
+    return tags.map((tag, i) => {
+      const angle = (i / tags.length) * 2 * Math.PI;
+      return { x: 0, y: R * Math.sin(angle), z: R * Math.cos(angle) };
+    });
+  },
+});
+
+registerShape("cylinder", {
+  layout(tags, { radius: R }) {
+    const N = tags.length;
+    const heightStep = (2 * R) / Math.ceil(N / 10);
+    const circumferenceTags = Math.ceil(Math.sqrt(N));
+    return tags.map((tag, i) => {
+      const level = Math.floor(i / circumferenceTags);
+      const angle =
+        (i % circumferenceTags) * ((2 * Math.PI) / circumferenceTags);
+      return {
+        x: R * Math.cos(angle),
+        y: -R + level * heightStep,
+        z: R * Math.sin(angle),
+      };
+    });
+  },
+});
+
+registerShape("pyramid", {
+  layout(tags, { radius: R }) {
+    const N = tags.length;
+    const levels = Math.ceil(Math.sqrt(N));
+    const points = [];
+    for (let level = 0; level < levels; level++) {
+      const levelSize = levels - level;
+      const y = (level / levels) * R * 2 - R;
+      for (let i = 0; i < levelSize && points.length < N; i++) {
+        const angle = (i / levelSize) * 2 * Math.PI;
+        const radius = (R * (levels - level)) / levels;
+        points.push({
+          x: radius * Math.cos(angle),
+          y,
+          z: radius * Math.sin(angle),
+        });
+      }
+    }
+    return points;
+  },
+});
+
+registerShape("torus", {
+  layout(tags, { radius: R, majorRadius, minorRadius }) {
+    const N = tags.length;
+    const major = majorRadius || R * 0.6;
+    const minor = minorRadius || R * 0.3;
+    const majorSteps = Math.ceil(Math.sqrt(N));
+    const minorSteps = Math.ceil(N / majorSteps);
+
+    return tags.map((tag, i) => {
+      const majorAngle = (i % majorSteps) * ((2 * Math.PI) / majorSteps);
+      const minorAngle =
+        Math.floor(i / majorSteps) * ((2 * Math.PI) / minorSteps);
+      return {
+        x: (major + minor * Math.cos(minorAngle)) * Math.cos(majorAngle),
+        y: (major + minor * Math.cos(minorAngle)) * Math.sin(majorAngle),
+        z: minor * Math.sin(minorAngle),
+      };
+    });
+  },
+});
+
+/**
+ * Computes the resting position of every tag for a registered shape.
+ * Unknown shapes fall back to the default shape.
+ * @param {Array<Object>|number} tags - The tags to lay out, or just their number.
+ * @param {Object} [options] - Layout options, passed on to the shape.
+ * @param {string} [options.shape=DEFAULT_SHAPE] - Shape of the tag cloud.
+ * @param {number} [options.radius=150] - Radius of the shape.
+ * @param {number} [options.majorRadius] - Major radius for the torus shape.
+ * @param {number} [options.minorRadius] - Minor radius for the torus shape.
+ * @returns {Array<{x: number, y: number, z: number}>} One point per tag.
+ */
+export function computeLayout(tags, options = {}) {
+  const list =
+    typeof tags === "number" ? Array.from({ length: tags }, () => ({})) : tags;
+  if (!list.length) return [];
+  const shape = getShape(options.shape) || getShape(DEFAULT_SHAPE);
+  const points = shape.layout(list, {
+    ...options,
+    radius: options.radius || 150,
+  });
+  return list.map((tag, i) => {
+    const point = points[i] || {};
+    return { x: point.x || 0, y: point.y || 0, z: point.z || 0 };
+  });
+}
+
+/**
+ * Returns the rotation axes a shape keeps fixed, so flat shapes keep facing
+ * the viewer while they spin.
+ * @param {string} shape - Shape name.
+ * @returns {{x: boolean, y: boolean}} True for each locked axis.
+ */
+export function getLockedAxes(shape) {
+  const definition = getShape(shape);
+  return definition ? { ...definition.lockAxes } : { x: false, y: false };
+}
+
+/**
+ * Rotates points in place around the Y axis and then the X axis.
+ * @param {Array<{x: number, y: number, z: number}>} points - Points (or tags) to rotate.
+ * @param {number} angleX - Rotation around the X axis in radians.
+ * @param {number} angleY - Rotation around the Y axis in radians.
+ * @returns {Array<{x: number, y: number, z: number}>} The same points.
+ */
+export function rotatePoints(points, angleX, angleY) {
+  const cosY = Math.cos(angleY),
+    sinY = Math.sin(angleY);
+  const cosX = Math.cos(angleX),
+    sinX = Math.sin(angleX);
+
+  points.forEach((point) => {
+    let { x, y, z } = point;
+
+    let nx = x * cosY - z * sinY;
+    let nz = x * sinY + z * cosY;
+    let ny = y * cosX - nz * sinX;
+    nz = y * sinX + nz * cosX;
+    point.x = nx;
+    point.y = ny;
+    point.z = nz;
+  });
+  return points;
+}
+
+/**
+ * Rotates points in place around the Z axis, i.e. in the screen plane.
+ * Positive angles turn clockwise on screen, where y points down.
+ * @param {Array<{x: number, y: number, z: number}>} points - Points (or tags) to rotate.
+ * @param {number} angle - Rotation around the Z axis in radians.
+ * @returns {Array<{x: number, y: number, z: number}>} The same points.
+ */
+export function rollPoints(points, angle) {
+  const cos = Math.cos(angle),
+    sin = Math.sin(angle);
+
+  points.forEach((point) => {
+    const { x, y } = point;
+    point.x = x * cos - y * sin;
+    point.y = x * sin + y * cos;
+  });
+  return points;
+}
+
+/**
+ * Computes the rotation that brings a point to the front of the cloud
+ * (straight towards the viewer).
+ * @param {{x: number, y: number, z: number}} point - The point to face.
+ * @param {{x: boolean, y: boolean}} [lockedAxes] - Axes that must not rotate.
+ * @returns {{x: number, y: number}} Rotation around the X and Y axes in radians.
+ */
+export function getFrontRotation(point, lockedAxes = { x: false, y: false }) {
+  const wrap = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+  const y = lockedAxes.y
+    ? 0
+    : wrap(-Math.PI / 2 - Math.atan2(point.z, point.x));
+  const nz = point.x * Math.sin(y) + point.z * Math.cos(y);
+  const x = lockedAxes.x ? 0 : wrap(-Math.PI / 2 - Math.atan2(nz, point.y));
+  return { x, y };
+}
+
+export const PROJECTIONS = ["perspective", "orthographic"];
+
+export const BACK_FACES = ["visible", "dimmed", "hidden"];
+
+export const DEFAULT_DEPTH_EFFECTS = {
+  minOpacity: 0.2,
+  maxOpacity: 1,
+  scaleFalloff: 0,
+  fogColor: null,
+  fog: 0,
+  blur: 0,
+  backFace: "visible",
+};
+
+/**
+ * Closest the camera gets to the center of the cloud, in cloud radii. Closer
+ * cameras would sit inside the cloud, where the front tags are at or behind
+ * the lens; at this distance they are drawn at most five times their size.
+ */
+export const MIN_CAMERA_DISTANCE = 1.25;
+
+/**
+ * Computes the distance from the camera to the center of the cloud. An
+ * explicit `distance` wins; otherwise the camera backs off until its field
+ * of view frames the cloud's radius, so the depth effect depends on the
+ * cloud and not on the size of the canvas. Either way the camera stays at
+ * least `MIN_CAMERA_DISTANCE` radii away, so fields of view wider than about
+ * 77 degrees and distances inside the cloud are clamped.
+ * @param {Object} [camera] - Camera options.
+ * @param {number} [camera.fov=40] - Field of view in degrees.
+ * @param {number} [camera.distance] - Camera distance in pixels.
+ * @param {number} [camera.radius=150] - Radius of the cloud in pixels.
+ * @returns {number} The camera distance in pixels.
+ */
+export function getCameraDistance(camera = {}) {
+  const { fov = 40, distance, radius = 150 } = camera;
+  const minDistance = Math.max(radius, 0) * MIN_CAMERA_DISTANCE;
+  if (distance > 0) return Math.max(distance, minDistance);
+  const halfAngle = (Math.min(Math.max(fov, 1), 179) * Math.PI) / 360;
+  return Math.max(radius / Math.tan(halfAngle), minDistance);
+}
+
+/**
+ * Projects a point onto a 2D viewport. With the default perspective
+ * projection a point at depth z is scaled by `distance / (distance + z)`,
+ * where `distance` comes from `getCameraDistance`, so points at the cloud's
+ * center keep their size and points closer to the viewer (negative z) grow.
+ * The orthographic projection keeps every point at scale 1. Either way,
+ * closer points get a higher opacity, as computed by `getDepthEffects` with
+ * the default depth effects.
+ * @param {{x: number, y: number, z: number}} point - The point to project.
+ * @param {{width: number, height: number, zoom?: number}} viewport - Viewport size in pixels, and a zoom factor (default 1) that magnifies the projection around the viewport's center.
+ * @param {Object} [camera] - Camera options.
+ * @param {string} [camera.projection="perspective"] - "perspective" or "orthographic".
+ * @param {number} [camera.fov=40] - Field of view in degrees.
+ * @param {number} [camera.distance] - Camera distance in pixels; overrides `fov`.
+ * @param {number} [camera.radius=150] - Radius of the cloud in pixels, framed by `fov`.
+ * @returns {{x: number, y: number, scale: number, opacity: number}} Screen position, scale and depth opacity.
+ */
+export function projectPoint(point, viewport, camera = {}) {
+  const center = { x: viewport.width / 2, y: viewport.height / 2 };
+  const zoom = viewport.zoom > 0 ? viewport.zoom : 1;
+  const distance = getCameraDistance(camera);
+  const denominator = distance + point.z;
+  const depthScale =
+    camera.projection === "orthographic" || denominator <= 0
+      ? 1
+      : distance / denominator;
+  const scale = depthScale * zoom;
+  const x = isFinite(point.x * scale + center.x)
+    ? point.x * scale + center.x
+    : center.x;
+  const y = isFinite(point.y * scale + center.y)
+    ? point.y * scale + center.y
+    : center.y;
+  const { opacity } = getDepthEffects(point, camera);
+  return { x, y, scale, opacity };
+}
+
+/**
+ * Computes the depth cues of a point. Opacity, scale falloff, fog and blur
+ * change linearly from the front of the cloud (`z = -radius`) to its back
+ * (`z = radius`), so they look the same with every camera: opacity goes
+ * from `maxOpacity` at the front to `minOpacity` at the back.
+ * @param {{x: number, y: number, z: number}} point - The point, with negative z towards the viewer.
+ * @param {Object} [camera] - Camera options, as for `projectPoint`.
+ * @param {Object} [effects] - Depth effects; missing fields take their value from `DEFAULT_DEPTH_EFFECTS`.
+ * @param {number} [effects.minOpacity=0.2] - Opacity of the farthest points.
+ * @param {number} [effects.maxOpacity=1] - Opacity of the nearest points.
+ * @param {number} [effects.scaleFalloff=0] - Share of their size that points lose at the back of the cloud, from 0 to 1.
+ * @param {number} [effects.fog=0] - How far the color of points at the back of the cloud moves towards `fogColor`, from 0 to 1.
+ * @param {number} [effects.blur=0] - Blur radius in pixels at the back of the cloud.
+ * @param {string} [effects.backFace="visible"] - Points behind the center plane (`z > 0`): "visible", "dimmed" to `minOpacity`, or "hidden".
+ * @returns {{depth: number, opacity: number, scale: number, fog: number, blur: number, hidden: boolean}} Depth from 0 (front of the cloud) to 1 (back), and the cues at that depth.
+ */
+export function getDepthEffects(point, camera = {}, effects = {}) {
+  const {
+    minOpacity = DEFAULT_DEPTH_EFFECTS.minOpacity,
+    maxOpacity = DEFAULT_DEPTH_EFFECTS.maxOpacity,
+    scaleFalloff = DEFAULT_DEPTH_EFFECTS.scaleFalloff,
+    fog = DEFAULT_DEPTH_EFFECTS.fog,
+    blur = DEFAULT_DEPTH_EFFECTS.blur,
+    backFace = DEFAULT_DEPTH_EFFECTS.backFace,
+  } = effects;
+  const { radius = 150 } = camera;
+  const depth =
+    radius > 0 ? Math.max(0, Math.min(1, (point.z / radius + 1) / 2)) : 0.5;
+  const behind = point.z > 0;
+  const opacity =
+    backFace === "dimmed" && behind
+      ? minOpacity
+      : maxOpacity + (minOpacity - maxOpacity) * depth;
+  return {
+    depth,
+    opacity,
+    scale: 1 - scaleFalloff * depth,
+    fog: fog * depth,
+    blur: blur * depth,
+    hidden: backFace === "hidden" && behind,
+  };
+}
@@ -0,0 +1,44 @@
+/* Link safety for Orbity.
+Tag data often comes from users or a server, so an `href` is only followed,
+or rendered as a link, when it points to a web page or an email address. */
+
+export const LINK_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+export const IMAGE_PROTOCOLS = ["http:", "https:"];
+
+// Relative links resolve against a web origin, so they are always allowed.
+const LINK_BASE = "https://orbity.invalid/";
+
+/**
+ * Returns a tag's `href` if it is safe to follow: an http, https or mailto
+ * URL, or a relative one. `javascript:`, `data:` and other schemes are
+ * rejected.
+ * @param {string} [href] - The link.
+ * @returns {string|null} The link, or null if it is missing or unsafe.
+ */
+export function getSafeHref(href) {
+  if (typeof href !== "string" || !href.trim()) return null;
+  try {
+    const { protocol } = new URL(href, LINK_BASE);
+    return LINK_PROTOCOLS.includes(protocol) ? href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns an image URL if it is safe to write into an exported document: an
+ * http or https URL, a relative one, or a `data:image/` URL.
+ * @param {string} [url] - The image URL.
+ * @returns {string|null} The URL, or null if it is missing or unsafe.
+ */
+export function getSafeImageUrl(url) {
+  if (typeof url !== "string" || !url.trim()) return null;
+  if (/^data:image\//i.test(url.trim())) return url;
+  try {
+    const { protocol } = new URL(url, LINK_BASE);
+    return IMAGE_PROTOCOLS.includes(protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
@@ -2,7 +2,96 @@
 link to tagcanvas.js: https://www.goat1000.com/tagcanvas.php
 Thanks to the original author for the inspiration! */
 
-const DEFAULT_SHAPE = "sphere";
+import CanvasRenderer from "./renderers/canvas.js";
+import DOMRenderer from "./renderers/dom.js";
+import WebGLRenderer from "./renderers/webgl.js";
+import {
+  BACK_FACES,
+  DEFAULT_DEPTH_EFFECTS,
+  DEFAULT_SHAPE,
+  PROJECTIONS,
+  computeLayout,
+  getDepthEffects,
+  getFrontRotation,
+  getLockedAxes,
+  getShape,
+  getShapeNames,
+  projectPoint,
+  registerShape,
+} from "./layout.js";
+import {
+  createQuaternion,
+  invertQuaternion,
+  isQuaternion,
+  multiplyQuaternions,
+  normalizeQuaternion,
+  quaternionBetween,
+  quaternionFromAxisAngle,
+  quaternionFromBasis,
+  quaternionFromRotationVector,
+  quaternionToRotationVector,
+  rotatePointsByQuaternion,
+  slerpQuaternions,
+} from "./quaternion.js";
+import { revokeSvgUrl } from "./images.js";
+import { getSafeHref } from "./links.js";
+import { FONT_STYLES } from "./style.js";
+import { renderSVG } from "./svg.js";
+import {
+  THEME_NAMES,
+  THEME_PROPERTIES,
+  getThemedDepthEffects,
+  resolveTheme,
+} from "./theme.js";
+import {
+  WEIGHT_SCALES,
+  mixColors,
+  parseHexColor,
+  scaleWeights,
+} from "./weights.js";
+import {
+  SNAPSHOT_VERSION,
+  decodeSnapshot,
+  encodeSnapshot,
+  readSnapshot,
+} from "./snapshot.js";
+
+let instanceCount = 0;
+
+const VISUALLY_HIDDEN = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  margin: "-1px",
+  padding: "0",
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border: "0",
+};
+
+const RENDERERS = {
+  canvas: CanvasRenderer,
+  dom: DOMRenderer,
+  webgl: WebGLRenderer,
+};
+
+const FOCUS_ORDERS = ["depth", "reading"];
+
+const MOTIONS = ["auto", "full", "reduced"];
+
+// Angle an arrow key turns the cloud by when it is still or motion is reduced.
+const KEY_ROTATION_STEP = Math.PI / 12;
+
+// Angle under which a focused tag counts as facing the viewer.
+const FRONT_TOLERANCE = 1e-4;
+
+const DEFAULT_FOCUS_KEYS = {
+  next: ["Tab"],
+  previous: ["Shift+Tab"],
+  activate: ["Enter", " "],
+  clear: ["Escape"],
+};
 
 const EASING_PROFILES = {
   Snappy: { easeIn: 0.2, friction: 0.9 },
@@ -10,34 +99,168 @@ const EASING_PROFILES = {
   Marathon: { easeIn: 0.05, friction: 0.99 },
 };
 
+const EVENTS = [
+  "tagClick",
+  "tagHover",
+  "tagLeave",
+  "tagFocus",
+  "tagBlur",
+  "dragStart",
+  "dragEnd",
+  "pinch",
+  "rotate",
+  "pause",
+  "resume",
+  "resize",
+  "transitionStart",
+  "transitionEnd",
+  "historyChange",
+  "tagsChange",
+  "optionsChange",
+  "zoom",
+  "themeChange",
+  "visibilityChange",
+  "destroy",
+];
+
+const TAG_STATE_KEYS = ["id", "index", "x", "y", "z", "angleX", "angleY"];
+
+/**
+ * Returns the unit axes of an unrotated cloud.
+ * @returns {Array<{x: number, y: number, z: number}>} The X, Y and Z axes.
+ */
+function createBasis() {
+  return [
+    { x: 1, y: 0, z: 0 },
+    { x: 0, y: 1, z: 0 },
+    { x: 0, y: 0, z: 1 },
+  ];
+}
+
+/**
+ * Resolves a transition easing name or function.
+ * @param {string|Function} easing - An easing name from TRANSITION_EASINGS, or a function mapping 0..1 to 0..1.
+ * @returns {Function} The easing function; easeInOutCubic for unknown names.
+ */
+function getTransitionEasing(easing) {
+  return typeof easing === "function"
+    ? easing
+    : TRANSITION_EASINGS[easing] || TRANSITION_EASINGS.easeInOutCubic;
+}
+
+const TRANSITION_EASINGS = {
+  linear: (t) => t,
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) =>
+    t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+};
+
 class Orbity {
+  /**
+   * Registers a custom shape, available to every instance through the
+   * `shape` option. The built-in shapes are registered the same way.
+   * @param {string} name - Shape name.
+   * @param {Object} definition - Shape definition.
+   * @param {Function} definition.layout - `layout(tags, options)` returning one `{x, y, z}` point per tag.
+   * @param {{x?: boolean, y?: boolean}} [definition.lockAxes] - Rotation axes to keep fixed.
+   * @returns {boolean} True if the shape was registered.
+   */
+  static registerShape(name, definition) {
+    return registerShape(name, definition);
+  }
+
+  /**
+   * Creates an instance from a snapshot made with `toJSON`.
+   * @param {HTMLCanvasElement|HTMLElement} canvas - The element to render into.
+   * @param {Object|string} snapshot - The snapshot, or a string from `Orbity.encodeSnapshot`.
+   * @returns {Orbity|null} The restored instance, or null if the snapshot is invalid.
+   */
+  static fromJSON(canvas, snapshot) {
+    const data = readSnapshot(snapshot);
+    if (!data) return null;
+    const orbity = new Orbity(canvas, data.settings);
+    orbity.restore(data);
+    return orbity;
+  }
+
+  /**
+   * Encodes a snapshot as a URL-safe string, e.g. for a share link.
+   * @param {Object} snapshot - The snapshot from `toJSON`.
+   * @returns {string} The encoded snapshot.
+   */
+  static encodeSnapshot(snapshot) {
+    return encodeSnapshot(snapshot);
+  }
+
+  /**
+   * Decodes a string made with `Orbity.encodeSnapshot`.
+   * @param {string} encoded - The encoded snapshot.
+   * @returns {Object|null} The snapshot, or null if the string is invalid.
+   */
+  static decodeSnapshot(encoded) {
+    return decodeSnapshot(encoded);
+  }
+
   /**
    * Creates an instance of Orbity.
-   * @param {HTMLCanvasElement} canvas - The canvas element where the 3D tag cloud will be rendered.
+   * @param {HTMLCanvasElement|HTMLElement} canvas - The canvas element where the 3D tag cloud will be rendered, or a container element for the "dom" renderer.
    * @param {Object} options - Configuration options for the tag cloud.
    * @param {number} [options.radius=150] - Radius of the 3D sphere or other shapes.
    * @param {number} [options.speed=0.002] - Speed of rotation.
    * @param {number} [options.easing=0.05] - Easing factor for smooth rotation.
    * @param {boolean} [options.paused=false] - Whether the animation starts paused.
+   * @param {boolean} [options.renderOnDemand=false] - Only draw frames while the cloud moves (spinning, easing out, dragged, turning to a focused tag or transitioning) and after changes, instead of on every animation frame.
+   * @param {boolean} [options.pauseWhenHidden=true] - Suspend the animation loop while the canvas is scrolled out of view or the page is hidden.
    * @param {boolean} [options.enableTouch=true] - Enable touch interaction.
    * @param {boolean} [options.enableOrientation=false] - Enable device orientation interaction.
    * @param {number} [options.maxVelocity=0.05] - Maximum velocity for rotation.
-   * @param {string} [options.shape=DEFAULT_SHAPE] - Shape of the tag cloud (e.g., "sphere", "cube", "plane", "helix", "ring", "verticalRing", "cylinder", "pyramid", "torus").
+   * @param {Object} [options.spinAxis=null] - Axis `{x, y, z}` that `autoSpin` turns the cloud around, in screen axes (x right, y down, z into the screen); null spins diagonally.
+   * @param {string} [options.shape=DEFAULT_SHAPE] - Shape of the tag cloud: a built-in ("sphere", "cube", "plane", "helix", "ring", "verticalRing", "cylinder", "pyramid", "torus") or one added with `Orbity.registerShape`.
    * @param {boolean} [options.enableDrag=true] - Enable drag interaction.
+   * @param {number} [options.dragThreshold=5] - Distance in CSS pixels a pointer has to move before a press becomes a drag instead of a click.
+   * @param {string} [options.projection="perspective"] - "perspective", where nearer tags are larger, or "orthographic", where depth only affects opacity.
+   * @param {number} [options.fov=40] - Field of view in degrees. The camera is placed so that this angle frames `radius`: wider angles look deeper, narrower ones flatter.
+   * @param {number} [options.cameraDistance=null] - Distance in pixels from the camera to the cloud's center, overriding `fov`. Like `fov`, it is clamped to keep the camera at least 1.25 times `radius` away.
+   * @param {Object} [options.depthEffects] - How tags recede towards the back of the cloud: `minOpacity` (0.2) and `maxOpacity` (1), `scaleFalloff` (0), `fogColor` (null) and `fog` (0), `blur` in pixels (0; the WebGL renderer ignores it and does not fog boxes), and `backFace` ("visible", "dimmed" or "hidden") for tags behind the center plane.
+   * @param {number} [options.zoom=1] - Camera zoom factor; above 1 magnifies the cloud around its center.
+   * @param {number} [options.minZoom=0.5] - Smallest zoom factor.
+   * @param {number} [options.maxZoom=4] - Largest zoom factor.
+   * @param {boolean} [options.enableWheelZoom=false] - Zoom with the mouse wheel or trackpad over the canvas instead of scrolling the page.
+   * @param {boolean} [options.enablePinchZoom=false] - Zoom with two-finger pinches.
+   * @param {string} [options.touchAction="pan-y"] - CSS `touch-action` of the canvas while touch dragging is enabled: "pan-y" leaves vertical swipes to page scrolling, "none" gives every gesture to the cloud.
    * @param {boolean} [options.enableClick=true] - Enable click interaction.
    * @param {boolean} [options.hoverEffect=true] - Enable/disable hover effects.
    * @param {boolean} [options.clickEffect=true] - Enable/disable click effects.
    * @param {number} [options.hoverScale=1.2] - Scale factor for hover effect.
-   * @param {string} [options.hoverColor="#ff0"] - Color change on hover.
+   * @param {string} [options.hoverColor=null] - Color of hovered tags; null uses the theme's hover color.
    * @param {number} [options.hoverOpacity=1.0] - Opacity change on hover.
+   * @param {string} [options.motion="auto"] - "full", "reduced", or "auto" to follow `prefers-reduced-motion`. Reduced motion stops `autoSpin`, drops the inertia after drags and clicks, turns the cloud in instant steps, skips the hover scaling and snaps transitions into place.
+   * @param {string|Object} [options.theme="auto"] - "auto", "light", "dark" or "high-contrast", or an object with an optional `name` and `text`, `hover`, `focusRing`, `fogColor`, `tagColors` and `depthEffects` overrides. "auto" follows `prefers-color-scheme` and `forced-colors`.
    * @param {string} [options.customFont="sans-serif"] - Default font family.
    * @param {string} [options.customFontWeight="normal"] - Default font weight.
    * @param {number} [options.majorRadius] - Major radius for the torus shape.
    * @param {number} [options.minorRadius] - Minor radius for the torus shape.
+   * @param {string} [options.focusOrder="depth"] - Order in which Tab moves focus between tags: "depth" (front to back) or "reading" (top to bottom, left to right).
+   * @param {Object} [options.focusKeys] - Key bindings (`next`, `previous`, `activate`, `clear`) as arrays of key descriptors such as "Shift+Tab".
+   * @param {boolean} [options.accessibleMirror=true] - Mirror the tags as a list of links/buttons inside the canvas for assistive technology.
+   * @param {boolean} [options.announce=false] - Announce hovered and focused tags through a polite live region.
+   * @param {number} [options.maxPixelRatio=2] - Upper bound for the device pixel ratio used for the backing store.
+   * @param {string} [options.resizeTarget="canvas"] - Element whose size drives the cloud: "canvas" (sized by CSS) or "container" (the canvas fills its parent).
+   * @param {number} [options.minFontSize=12] - Font size of the lightest weighted tag.
+   * @param {number} [options.maxFontSize=32] - Font size of the heaviest weighted tag.
+   * @param {string} [options.weightScale="linear"] - How weights map to font sizes and colors: "linear", "log" or "sqrt".
+   * @param {Array<string>} [options.colorRamp] - Two or more hex colors that weighted tags without a `color` are tinted along, from lightest to heaviest.
+   * @param {number} [options.historyLimit=100] - Maximum number of changes kept for undo.
+   * @param {number} [options.transitionDuration=600] - Duration in milliseconds of the morph when `shape` or `radius` changes; 0 snaps the tags into place.
+   * @param {string|Function} [options.transitionEasing="easeInOutCubic"] - Easing of the morph: "linear", "easeInCubic", "easeOutCubic", "easeInOutCubic", or a function mapping 0..1 to 0..1.
+   * @param {string|Object} [options.renderer="canvas"] - "canvas", "webgl", "dom", or a custom renderer object implementing `mount`, `resize`, `render` and `destroy`.
    */
   constructor(canvas, options = {}) {
     this.canvas = canvas;
-    this.ctx = canvas.getContext("2d");
+    this.renderer = null;
+    this._contextType = null;
+    this._rendererSetting = null;
     this.tags = [];
     this.settings = Object.assign(
       {
@@ -51,12 +274,23 @@ class Orbity {
         maxVelocity: 0.5,
         shape: DEFAULT_SHAPE,
         enableDrag: true,
+        dragThreshold: 5,
+        touchAction: "pan-y",
+        projection: "perspective",
+        fov: 40,
+        cameraDistance: null,
+        zoom: 1,
+        minZoom: 0.5,
+        maxZoom: 4,
+        enableWheelZoom: false,
+        enablePinchZoom: false,
         enableClick: true,
         autoSpin: true,
+        spinAxis: null,
         hoverEffect: true,
         clickEffect: true,
         hoverScale: 1.2,
-        hoverColor: "#ff0",
+        hoverColor: null,
         hoverOpacity: 1.0,
         customFont: "sans-serif",
         customFontWeight: "normal",
@@ -66,33 +300,100 @@ class Orbity {
         autoEasing: true,
         minVelocityThreshold: 0.005,
         dragSensitivity: 2,
+        focusOrder: "depth",
+        accessibleMirror: true,
+        announce: false,
+        renderer: "canvas",
+        maxPixelRatio: 2,
+        resizeTarget: "canvas",
+        transitionDuration: 600,
+        transitionEasing: "easeInOutCubic",
+        minFontSize: 12,
+        maxFontSize: 32,
+        weightScale: "linear",
+        colorRamp: null,
+        historyLimit: 100,
+        theme: "auto",
+        motion: "auto",
+        renderOnDemand: false,
+        pauseWhenHidden: true,
       },
       options
     );
-    this.rotation = { x: 0, y: 0 };
-    this.velocity = { x: 0, y: 0 };
+    this.settings.focusKeys = {
+      ...DEFAULT_FOCUS_KEYS,
+      ...this.settings.focusKeys,
+    };
+    this._depthEffectOptions = this._pickDepthEffects(
+      this.settings.depthEffects
+    );
+    this.settings.depthEffects = {
+      ...DEFAULT_DEPTH_EFFECTS,
+      ...this._depthEffectOptions,
+    };
+    this.settings.theme = this._validateTheme(this.settings.theme);
+    this.settings.motion = this._validateMotion(this.settings.motion);
+    this.rotation = { x: 0, y: 0, z: 0 };
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this._basis = createBasis();
 
     if (this.settings.autoSpin) {
-      this.velocity.x = this.settings.speed;
-      this.velocity.y = this.settings.speed;
+      this.velocity = this._getSpinVelocity(1);
     }
 
-    this.touch = { x: 0, y: 0, active: false };
+    this._pointers = new Map();
+    this._gesture = null;
+    this._dragging = false;
+    this._suppressClick = false;
     this.animFrame = null;
-    this._events = { tagClick: [], tagHover: [], tagLeave: [] };
+    this._events = Object.fromEntries(EVENTS.map((event) => [event, []]));
     this._hoveredIndex = null;
+    this._focusedIndex = null;
+    this._focusOrder = null;
+    this._a11yId = `orbity-${++instanceCount}`;
+    this._mirror = null;
+    this._liveRegion = null;
+    this._size = null;
+    this._resizeObserver = null;
+    this._pixelRatioQuery = null;
+    this._theme = null;
+    this._themeQueries = null;
+    this._reducedMotion = false;
+    this._motionQuery = null;
+    this._visible = true;
+    this._intersecting = true;
+    this._intersectionObserver = null;
+    this._transition = null;
+    this._transitionFrame = null;
+    this._focusFrame = null;
+    this._zoomTransition = null;
+    this._zoomFrame = null;
+    this._orientationTransition = null;
+    this._orientationFrame = null;
+    this._dragEasing = false;
+    this._tagIds = new Map();
+    this._tagIdCounter = 0;
     this.undoStack = [];
     this.redoStack = [];
+    this._transactionEntries = null;
+    this._replaying = false;
 
     this.settings.easing = Math.min(Math.max(this.settings.easing, 0.01), 0.5);
     this.settings.speed = Math.min(Math.max(this.settings.speed, 0.001), 5);
+    this.settings.zoom = this._clampZoom(this.settings.zoom);
     this._orientationHandler = this._handleOrientation.bind(this);
-    this._touchStartHandler = this._onTouchStart.bind(this);
-    this._touchMoveHandler = this._onTouchMove.bind(this);
-    this._mouseMoveHandler = this._onCanvasMouseMove.bind(this);
-    this._mouseLeaveHandler = this._onCanvasMouseLeave.bind(this);
+    this._pointerDownHandler = this._onPointerDown.bind(this);
+    this._pointerMoveHandler = this._onPointerMove.bind(this);
+    this._pointerUpHandler = this._onPointerUp.bind(this);
+    this._pointerLeaveHandler = this._onPointerLeave.bind(this);
+    this._wheelHandler = this._onWheel.bind(this);
     this._clickHandler = this._onCanvasClick.bind(this);
     this._keyboardHandler = this._onKeyboard.bind(this);
+    this._mirrorClickHandler = this._onMirrorClick.bind(this);
+    this._blurHandler = this.blurTag.bind(this);
+    this._themeHandler = () => this._applyTheme();
+    this._motionHandler = () => this._applyMotion();
+    this._visibilityHandler = () => this._applyVisibility();
     this._init();
   }
 
@@ -128,34 +429,210 @@ class Orbity {
    * @private
    */
   _init() {
-    this._resize = this._throttle(this._resize.bind(this), 200);
-    this._onCanvasMouseMove = this._throttle(
-      this._onCanvasMouseMove.bind(this),
-      50
-    );
-    window.addEventListener("resize", this._resize);
-    this._bindTouch();
-    this._bindMouse();
+    this._windowResizeHandler = this._throttle(() => this._resize(), 200);
+    this._pixelRatioHandler = () => {
+      this._resize();
+      this._watchPixelRatio();
+    };
+    this._hoverHandler = this._throttle(this._updateHover.bind(this), 50);
+    this._bindPointer();
     this._bindOrientation();
-    this._attachInteraction();
-    this.canvas.setAttribute("role", "region");
+    this.canvas.setAttribute("role", "group");
+    this.canvas.setAttribute("aria-roledescription", "tag cloud");
     this.canvas.setAttribute("aria-label", "3D tag cloud visualization");
     this.canvas.setAttribute("tabindex", "0");
     this.canvas.addEventListener("keydown", this._keyboardHandler);
+    this.canvas.addEventListener("blur", this._blurHandler);
+    this._watchTheme();
+    this._applyTheme();
+    this._watchMotion();
+    this._applyMotion();
+    this._setRenderer(this.settings.renderer);
+    this._bindAccessibility();
+    this._bindResize();
+    this._watchPixelRatio();
     this._resize();
     this._positionTags();
+    this._watchVisibility();
     this._animate();
   }
 
+  /**
+   * Observes the canvas (or its container) with a ResizeObserver, falling
+   * back to the window's resize event where ResizeObserver is unavailable.
+   * @private
+   */
+  _bindResize() {
+    this._unbindResize();
+    if (typeof ResizeObserver === "undefined") {
+      window.addEventListener("resize", this._windowResizeHandler);
+      return;
+    }
+    const target =
+      this.settings.resizeTarget === "container" && this.canvas.parentElement
+        ? this.canvas.parentElement
+        : this.canvas;
+    this._resizeObserver = new ResizeObserver(() => this._resize());
+    this._resizeObserver.observe(target);
+  }
+
+  /**
+   * Stops observing size changes.
+   * @private
+   */
+  _unbindResize() {
+    window.removeEventListener("resize", this._windowResizeHandler);
+    if (this._resizeObserver) {
+      this._resizeObserver.disconnect();
+      this._resizeObserver = null;
+    }
+  }
+
+  /**
+   * Listens for the next device pixel ratio change, e.g. when the window
+   * moves to a screen with a different density.
+   * @private
+   */
+  _watchPixelRatio() {
+    if (this._pixelRatioQuery) {
+      this._pixelRatioQuery.removeEventListener(
+        "change",
+        this._pixelRatioHandler
+      );
+      this._pixelRatioQuery = null;
+    }
+    if (typeof window.matchMedia !== "function") return;
+    this._pixelRatioQuery = window.matchMedia(
+      `(resolution: ${window.devicePixelRatio || 1}dppx)`
+    );
+    this._pixelRatioQuery.addEventListener("change", this._pixelRatioHandler);
+  }
+
+  /**
+   * Returns the device pixel ratio used for the backing store, capped by
+   * `maxPixelRatio`.
+   * @private
+   * @returns {number} The pixel ratio.
+   */
+  _getPixelRatio() {
+    return Math.max(
+      1,
+      Math.min(window.devicePixelRatio || 1, this.settings.maxPixelRatio)
+    );
+  }
+
   /**
    * Resizes the canvas to match its container and recalculates the center and tag positions.
    * @private
+   * @param {boolean} [force=false] - Resize even if the size has not changed.
    */
-  _resize() {
-    this.canvas.width = this.canvas.offsetWidth;
-    this.canvas.height = this.canvas.offsetHeight;
-    this.center = { x: this.canvas.width / 2, y: this.canvas.height / 2 };
+  _resize(force = false) {
+    const pixelRatio = this._getPixelRatio();
+    let width = this.canvas.offsetWidth;
+    let height = this.canvas.offsetHeight;
+    const parent = this.canvas.parentElement;
+    if (this.settings.resizeTarget === "container" && parent) {
+      const style = window.getComputedStyle(parent);
+      width =
+        parent.clientWidth -
+        parseFloat(style.paddingLeft || 0) -
+        parseFloat(style.paddingRight || 0);
+      height =
+        parent.clientHeight -
+        parseFloat(style.paddingTop || 0) -
+        parseFloat(style.paddingBottom || 0);
+      this.canvas.style.width = `${width}px`;
+      this.canvas.style.height = `${height}px`;
+    }
+
+    const size = this._size;
+    if (
+      !force &&
+      size &&
+      size.width === width &&
+      size.height === height &&
+      size.pixelRatio === pixelRatio
+    ) {
+      return;
+    }
+    this._size = { width, height, pixelRatio };
+    this.renderer.resize(width, height, pixelRatio);
+    // A canvas without a CSS size grows with its backing store; pin it.
+    if (this.canvas.offsetWidth !== width) {
+      this.canvas.style.width = `${width}px`;
+    }
+    if (this.canvas.offsetHeight !== height) {
+      this.canvas.style.height = `${height}px`;
+    }
+    this.center = { x: width / 2, y: height / 2 };
     this._positionTags();
+    this._invalidate();
+    this._emit("resize", { width, height, pixelRatio });
+  }
+
+  /**
+   * Replaces the active renderer. Falls back to Canvas 2D when WebGL is
+   * unavailable or fails to start, and to the DOM renderer when the host
+   * element cannot provide a canvas context. The DOM renderer needs a
+   * container, because elements inside a canvas are never shown, so it falls
+   * back to Canvas 2D on a canvas. A canvas keeps the first context it hands
+   * out, so switching between "canvas" and "webgl" on the same element is
+   * refused and the current renderer stays.
+   * @private
+   * @param {string|Object} renderer - A built-in renderer name or a renderer object.
+   */
+  _setRenderer(renderer) {
+    let next = renderer;
+    if (typeof renderer === "string") {
+      let name = renderer;
+      if (!RENDERERS[name]) {
+        console.error(
+          `Invalid renderer: must be one of ${Object.keys(RENDERERS).join(
+            ", "
+          )}.`
+        );
+        name = "canvas";
+      }
+      if (name === "dom" && this.canvas.tagName === "CANVAS") {
+        console.error(
+          'The "dom" renderer needs a container element, not a <canvas>: falling back to Canvas 2D.'
+        );
+        name = "canvas";
+      }
+      if (name === "webgl" && !WebGLRenderer.isSupported()) {
+        console.warn("WebGL is unavailable, falling back to Canvas 2D.");
+        name = "canvas";
+      }
+      if (name === "canvas" && typeof this.canvas.getContext !== "function") {
+        name = "dom";
+      }
+      this.settings.renderer = name;
+      next = new RENDERERS[name]();
+    }
+    if (
+      this._contextType &&
+      next.contextType &&
+      next.contextType !== this._contextType
+    ) {
+      console.error(
+        `Cannot switch to a renderer that needs a "${next.contextType}" context: this canvas already has a "${this._contextType}" context. Create the cloud on a new canvas instead.`
+      );
+      this.settings.renderer = this._rendererSetting;
+      return;
+    }
+    if (this.renderer) this.renderer.destroy();
+    this.renderer = next;
+    try {
+      this.renderer.mount(this.canvas, this);
+    } catch (error) {
+      if (!(next instanceof WebGLRenderer)) throw error;
+      console.warn("WebGL failed to start, falling back to Canvas 2D.", error);
+      this.settings.renderer = "canvas";
+      this.renderer = new CanvasRenderer();
+      this.renderer.mount(this.canvas, this);
+    }
+    this._contextType = this._contextType || this.renderer.contextType || null;
+    this._rendererSetting = this.settings.renderer;
   }
 
   /**
@@ -164,24 +641,137 @@ class Orbity {
    * Each object should have the following properties:
    *   - text {string}: The text of the tag.
    *   - color {string}: The color of the tag (e.g., "#fff").
+   *   - id {string|number} (optional): Stable id of the tag; generated when omitted.
    *   - fontSize {number} (optional): The font size of the tag.
+   *   - weight {number} (optional): Importance of the tag, scaled to a font size and ramp color unless `fontSize`/`color` are set.
+   *   - href {string} (optional): URL to open when the tag is activated.
+   *   - target {string} (optional): Browsing context for `href` (e.g., "_blank").
+   *   - rel {string} (optional): Link relationship, e.g. "noopener noreferrer".
+   *   - label {string} (optional): Accessible name, required for image and SVG tags.
    */
   setTags(dataArray) {
-    this.tags = dataArray.map((data, i) => ({
+    const previous = this.tags;
+    const before = previous.map((tag) => this._getTagData(tag));
+    const byId = new Map(previous.map((tag) => [tag.id, tag]));
+    const explicitIds = new Set(dataArray.map((data) => data.id));
+    const reserved = new Set([...explicitIds, ...byId.keys()]);
+    const matched = new Set();
+    const seen = new Set();
+    const entering = [];
+
+    const tags = dataArray.map((data) => {
+      const hasId = data.id !== undefined && data.id !== null;
+      if (hasId && seen.has(data.id)) {
+        console.error(`Duplicate tag id "${data.id}": generating a new one.`);
+      }
+      const unique = hasId && !seen.has(data.id);
+      const existing = unique
+        ? byId.get(data.id)
+        : !hasId &&
+          previous.find(
+            (tag) =>
+              tag._generatedId &&
+              !explicitIds.has(tag.id) &&
+              !matched.has(tag) &&
+              tag.text === data.text &&
+              tag.imageUrl === data.imageUrl &&
+              tag.svg === data.svg
+          );
+      let tag;
+      if (existing && !matched.has(existing)) {
+        matched.add(existing);
+        tag = this._assignTagData(existing, data);
+      } else {
+        const id = unique ? data.id : this._generateTagId(reserved);
+        reserved.add(id);
+        tag = this._createTag(data, id, null);
+        entering.push(tag);
+      }
+      seen.add(tag.id);
+      return tag;
+    });
+    const exiting = previous.filter((tag) => !matched.has(tag));
+
+    const focused = this._getFocusedTag();
+    if (focused && !matched.has(focused)) this.blurTag();
+    this.tags = tags;
+    this._reindexTags();
+    this._applyWeights();
+    this._syncAccessibleMirror();
+    this._morphTags({ entering, exiting, events: false });
+    this._draw();
+
+    const after = this.tags.map((tag) => this._getTagData(tag));
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      this._record({ action: "set", before, after });
+      this._emit("tagsChange", { tags: this.tags });
+    }
+  }
+
+  /**
+   * Builds a new tag from tag data.
+   * @private
+   * @param {Object} data - Tag data.
+   * @param {string|number} id - The tag's id.
+   * @param {number|null} index - The tag's index, or null until it is reindexed.
+   * @returns {Object} The tag.
+   */
+  _createTag(data, id, index) {
+    return {
       ...data,
+      id,
       angleX: Math.random() * 2 * Math.PI,
       angleY: Math.random() * Math.PI,
-      index: i,
+      index,
+      _generatedId: id !== data.id,
       _screen: {},
       _scale: 1,
       _color: data.color,
       _opacity: 1,
       _img: data.imageUrl ? null : undefined,
       _svg: data.svg ? null : undefined,
-    }));
-    this._reindexTags();
-    this._positionTags();
-    this._draw();
+    };
+  }
+
+  /**
+   * Replaces the data of an existing tag while keeping its id, position and
+   * interaction state. Fields missing from the new data are removed.
+   * @private
+   * @param {Object} tag - The existing tag.
+   * @param {Object} data - The new tag data.
+   * @returns {Object} The same tag.
+   */
+  _assignTagData(tag, data) {
+    Object.keys(tag).forEach((key) => {
+      if (
+        !key.startsWith("_") &&
+        !TAG_STATE_KEYS.includes(key) &&
+        !(key in data)
+      ) {
+        delete tag[key];
+      }
+    });
+    if (tag.imageUrl !== data.imageUrl) {
+      tag._img = data.imageUrl ? null : undefined;
+    }
+    if (tag.svg !== data.svg) tag._svg = data.svg ? null : undefined;
+    Object.assign(tag, data, { id: tag.id });
+    if (tag.index !== this._hoveredIndex) tag._color = tag.color;
+    return tag;
+  }
+
+  /**
+   * Generates a tag id that is not in use yet.
+   * @private
+   * @param {{has: Function}} taken - Set or map of the ids in use.
+   * @returns {string} A unique id.
+   */
+  _generateTagId(taken) {
+    let id;
+    do {
+      id = `tag-${++this._tagIdCounter}`;
+    } while (taken.has(id));
+    return id;
   }
 
   /**
@@ -199,23 +789,26 @@ class Orbity {
    */
   addTag(tagData) {
     if (!this._validateTag(tagData)) return;
-    const newTag = {
-      ...tagData,
-      angleX: this._getRandomAngle(),
-      angleY: this._getRandomAngle(),
-      index: this.tags.length,
-      _screen: {},
-      _scale: 1,
-      _color: tagData.color,
-      _opacity: 1,
-      _img: tagData.imageUrl ? null : undefined,
-      _svg: tagData.svg ? null : undefined,
-    };
+    if (tagData.id !== undefined && this.hasTag(tagData.id)) {
+      console.error(
+        `Invalid tag: a tag with id "${tagData.id}" already exists.`
+      );
+      return;
+    }
+    const newTag = this._createTag(
+      tagData,
+      tagData.id !== undefined && tagData.id !== null
+        ? tagData.id
+        : this._generateTagId(this._tagIds),
+      this.tags.length
+    );
     this.tags.push(newTag);
-    this.undoStack.push({ action: "add", tag: { ...newTag } });
-    this.redoStack = [];
-    this._reindexTags();
-    this._positionTags();
+    this._record({
+      action: "add",
+      tag: this._getTagData(newTag),
+      index: newTag.index,
+    });
+    this._tagsChanged();
   }
 
   /**
@@ -224,11 +817,38 @@ class Orbity {
    */
   removeTag(index) {
     if (index < 0 || index >= this.tags.length) return;
+    const removedTag = this._removeTagAt(index);
+    this._record({
+      action: "remove",
+      tag: this._getTagData(removedTag),
+      index,
+    });
+  }
+
+  /**
+   * Removes the tag at an index without recording it, blurring it first if
+   * it has focus.
+   * @private
+   * @param {number} index - Index of the tag.
+   * @returns {Object} The removed tag.
+   */
+  _removeTagAt(index) {
+    if (this._focusedIndex === index) this.blurTag();
     const removedTag = this.tags.splice(index, 1)[0];
-    this.undoStack.push({ action: "remove", tag: { ...removedTag }, index });
-    this.redoStack = [];
-    this._reindexTags();
-    this._positionTags();
+    revokeSvgUrl(removedTag);
+    this._tagsChanged();
+    return removedTag;
+  }
+
+  /**
+   * Inserts a tag at an index without recording it.
+   * @private
+   * @param {Object} data - Tag data, including its id.
+   * @param {number} index - Index to insert the tag at.
+   */
+  _insertTagAt(data, index) {
+    this.tags.splice(index, 0, this._createTag(data, data.id, null));
+    this._tagsChanged();
   }
 
   /**
@@ -241,75 +861,242 @@ class Orbity {
       console.error(`Tag at index ${index} does not exist.`);
       return;
     }
-    const oldData = { ...this.tags[index] };
-    Object.assign(this.tags[index], data, {
+    if (data.id !== undefined && data.id !== this.tags[index].id) {
+      console.error("Tag ids cannot be changed; ignoring the new id.");
+    }
+    const tag = this.tags[index];
+    const before = this._getTagData(tag);
+    Object.assign(tag, data, {
+      id: tag.id,
       _scale: 1,
-      _color: data.color || this.tags[index].color,
+      _color: data.color || tag.color,
       _opacity: 1,
     });
-    this.undoStack.push({
+    this._record({
       action: "update",
-      oldData,
-      newData: { ...this.tags[index] },
+      id: tag.id,
+      before,
+      after: this._getTagData(tag),
     });
-    this.redoStack = [];
-    this._reindexTags();
-    this._positionTags();
+    this._tagsChanged();
   }
 
   /**
-   * Undoes the last tag-related action.
+   * Returns the tag with the given id.
+   * @param {string|number} id - The tag id.
+   * @returns {Object|null} The tag, or null if there is none.
    */
-  undo() {
-    if (this.undoStack.length === 0) return;
-    const lastAction = this.undoStack.pop();
-    this.redoStack.push(lastAction);
+  getTag(id) {
+    return this._tagIds.get(id) || null;
+  }
 
-    switch (lastAction.action) {
-      case "add":
-        this.tags.pop();
-        break;
-      case "remove":
-        this.tags.splice(lastAction.index, 0, { ...lastAction.tag });
-        break;
-      case "update":
-        Object.assign(this.tags[lastAction.oldData.index], lastAction.oldData);
-        break;
+  /**
+   * Checks whether a tag with the given id exists.
+   * @param {string|number} id - The tag id.
+   * @returns {boolean} True if the tag exists.
+   */
+  hasTag(id) {
+    return this._tagIds.has(id);
+  }
+
+  /**
+   * Updates the tag with the given id, like `updateTag`.
+   * @param {string|number} id - The tag id.
+   * @param {Object} data - New data for the tag.
+   */
+  updateTagById(id, data) {
+    const tag = this.getTag(id);
+    if (!tag) {
+      console.error(`Tag with id "${id}" does not exist.`);
+      return;
     }
-    this._reindexTags();
-    this._positionTags();
+    this.updateTag(tag.index, data);
+  }
+
+  /**
+   * Removes the tag with the given id, like `removeTag`.
+   * @param {string|number} id - The tag id.
+   */
+  removeTagById(id) {
+    const tag = this.getTag(id);
+    if (!tag) {
+      console.error(`Tag with id "${id}" does not exist.`);
+      return;
+    }
+    this.removeTag(tag.index);
+  }
+
+  /**
+   * Undoes the last recorded change to the tags or options.
+   */
+  undo() {
+    if (!this.canUndo()) return;
+    const entry = this.undoStack.pop();
+    this._replay(entry, false);
+    this.redoStack.push(entry);
+    this._emitHistoryChange();
   }
 
   /**
-   * Redoes the last undone action.
+   * Redoes the last undone change.
    */
   redo() {
-    if (this.redoStack.length === 0) return;
-    const lastAction = this.redoStack.pop();
-    this.undoStack.push(lastAction);
+    if (!this.canRedo()) return;
+    const entry = this.redoStack.pop();
+    this._replay(entry, true);
+    this.undoStack.push(entry);
+    this._emitHistoryChange();
+  }
 
-    switch (lastAction.action) {
-      case "add":
-        this.tags.push({ ...lastAction.tag });
-        break;
-      case "remove":
-        this.tags.splice(lastAction.index, 1);
-        break;
-      case "update":
-        Object.assign(this.tags[lastAction.newData.index], lastAction.newData);
-        break;
+  /**
+   * Checks whether there is a change to undo.
+   * @returns {boolean} True if `undo()` would change something.
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Checks whether there is an undone change to redo.
+   * @returns {boolean} True if `redo()` would change something.
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Runs several mutations as one history entry, so a single `undo()`
+   * reverts all of them. Nested transactions join the outer one.
+   * @param {Function} callback - Function performing the mutations.
+   * @returns {*} The callback's return value.
+   */
+  transaction(callback) {
+    if (this._transactionEntries) return callback();
+    this._transactionEntries = [];
+    try {
+      return callback();
+    } finally {
+      const entries = this._transactionEntries;
+      this._transactionEntries = null;
+      if (entries.length > 1) {
+        this._record({ action: "transaction", entries });
+      } else if (entries.length) {
+        this._record(entries[0]);
+      }
     }
-    this._reindexTags();
-    this._positionTags();
+  }
+
+  /**
+   * Adds an entry to the undo history, unless it is being replayed, and
+   * trims the history to `historyLimit`.
+   * @private
+   * @param {Object} entry - The history entry.
+   */
+  _record(entry) {
+    if (this._replaying) return;
+    if (this._transactionEntries) {
+      this._transactionEntries.push(entry);
+      return;
+    }
+    this.undoStack.push(entry);
+    this._trimHistory();
+    this.redoStack = [];
+    this._emitHistoryChange();
+  }
+
+  /**
+   * Drops the oldest undo entries beyond `historyLimit`.
+   * @private
+   */
+  _trimHistory() {
+    const excess = this.undoStack.length - this.settings.historyLimit;
+    if (excess > 0) this.undoStack.splice(0, excess);
+  }
+
+  /**
+   * Applies a history entry in either direction without recording it again.
+   * @private
+   * @param {Object} entry - The history entry.
+   * @param {boolean} forward - True to redo the entry, false to undo it.
+   */
+  _replay(entry, forward) {
+    const replaying = this._replaying;
+    this._replaying = true;
+    try {
+      switch (entry.action) {
+        case "add":
+        case "remove":
+          if (forward === (entry.action === "add")) {
+            this._insertTagAt(entry.tag, entry.index);
+          } else if (this.hasTag(entry.tag.id)) {
+            this._removeTagAt(this.getTag(entry.tag.id).index);
+          }
+          break;
+        case "update": {
+          const tag = this.getTag(entry.id);
+          if (tag) {
+            this._assignTagData(tag, forward ? entry.after : entry.before);
+            this._tagsChanged();
+          }
+          break;
+        }
+        case "set":
+          this.setTags(forward ? entry.after : entry.before);
+          break;
+        case "options":
+          this.updateOptions(forward ? entry.after : entry.before);
+          break;
+        case "transaction":
+          (forward ? entry.entries : [...entry.entries].reverse()).forEach(
+            (child) => this._replay(child, forward)
+          );
+          break;
+      }
+    } finally {
+      this._replaying = replaying;
+    }
+  }
+
+  /**
+   * Emits `historyChange` with the current state of the undo history.
+   * @private
+   */
+  _emitHistoryChange() {
+    this._emit("historyChange", {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoDepth: this.undoStack.length,
+      redoDepth: this.redoStack.length,
+    });
+  }
+
+  /**
+   * Returns the data of a tag without its position and runtime state.
+   * @private
+   * @param {Object} tag - The tag.
+   * @returns {Object} The tag data, including its id.
+   */
+  _getTagData(tag) {
+    const data = { id: tag.id };
+    Object.keys(tag).forEach((key) => {
+      if (!key.startsWith("_") && !TAG_STATE_KEYS.includes(key)) {
+        data[key] = tag[key];
+      }
+    });
+    return data;
   }
 
   /**
    * Clears all tags from the 3D tag cloud.
    */
   clearTags() {
+    if (!this.tags.length) return;
+    const before = this.tags.map((tag) => this._getTagData(tag));
+    this.blurTag();
+    this.tags.forEach(revokeSvgUrl);
     this.tags = [];
-    this._reindexTags();
-    this._positionTags();
+    this._tagsChanged();
+    this._record({ action: "set", before, after: [] });
   }
 
   /**
@@ -317,6 +1104,7 @@ class Orbity {
    * @param {Object} newOptions - New configuration options.
    */
   updateOptions(newOptions) {
+    const previous = this.settings;
     this.settings = { ...this.settings, ...newOptions };
 
     if (newOptions.easing !== undefined) {
@@ -345,25 +1133,62 @@ class Orbity {
     }
 
     if (newOptions.shape !== undefined) {
-      const validShapes = [
-        "sphere",
-        "cube",
-        "plane",
-        "helix",
-        "ring",
-        "verticalRing",
-        "cylinder",
-        "pyramid",
-        "torus",
-      ];
-      if (!validShapes.includes(newOptions.shape)) {
+      if (!getShape(newOptions.shape)) {
         console.error(
-          `Invalid shape: must be one of ${validShapes.join(", ")}.`
+          `Invalid shape: must be one of ${getShapeNames().join(", ")}.`
         );
         this.settings.shape = DEFAULT_SHAPE;
       }
     }
 
+    if (newOptions.spinAxis !== undefined && newOptions.spinAxis !== null) {
+      if (!this._isAxis(newOptions.spinAxis)) {
+        console.error(
+          "Invalid spinAxis: must be null or an {x, y, z} vector of finite numbers, not all zero."
+        );
+        this.settings.spinAxis = null;
+      }
+    }
+
+    if (newOptions.focusOrder !== undefined) {
+      if (!FOCUS_ORDERS.includes(newOptions.focusOrder)) {
+        console.error(
+          `Invalid focusOrder: must be one of ${FOCUS_ORDERS.join(", ")}.`
+        );
+        this.settings.focusOrder = "depth";
+      }
+      this._focusOrder = null;
+    }
+
+    if (newOptions.focusKeys !== undefined) {
+      this.settings.focusKeys = {
+        ...DEFAULT_FOCUS_KEYS,
+        ...newOptions.focusKeys,
+      };
+    }
+
+    if (newOptions.renderer !== undefined) {
+      this._setRenderer(newOptions.renderer);
+      this._resize(true);
+      this._draw();
+    }
+
+    if (newOptions.resizeTarget !== undefined) {
+      this._bindResize();
+      this._resize(true);
+    }
+
+    if (newOptions.maxPixelRatio !== undefined) {
+      this._resize(true);
+    }
+
+    if (
+      newOptions.accessibleMirror !== undefined ||
+      newOptions.announce !== undefined
+    ) {
+      this._bindAccessibility();
+    }
+
     if (newOptions.maxVelocity !== undefined) {
       if (
         typeof newOptions.maxVelocity !== "number" ||
@@ -374,17 +1199,206 @@ class Orbity {
       }
     }
 
-    if (newOptions.radius !== undefined || newOptions.shape !== undefined) {
-      this._positionTags();
+    if (newOptions.transitionDuration !== undefined) {
+      if (
+        typeof newOptions.transitionDuration !== "number" ||
+        newOptions.transitionDuration < 0
+      ) {
+        console.error(
+          "Invalid transitionDuration: must be a non-negative number."
+        );
+        this.settings.transitionDuration = 600;
+      }
+    }
+
+    if (newOptions.transitionEasing !== undefined) {
+      if (
+        typeof newOptions.transitionEasing !== "function" &&
+        !TRANSITION_EASINGS[newOptions.transitionEasing]
+      ) {
+        console.error(
+          `Invalid transitionEasing: must be a function or one of ${Object.keys(
+            TRANSITION_EASINGS
+          ).join(", ")}.`
+        );
+        this.settings.transitionEasing = "easeInOutCubic";
+      }
+    }
+
+    ["minFontSize", "maxFontSize"].forEach((option) => {
+      if (newOptions[option] === undefined) return;
+      if (typeof newOptions[option] !== "number" || newOptions[option] <= 0) {
+        console.error(`Invalid ${option}: must be a positive number.`);
+        this.settings[option] = option === "minFontSize" ? 12 : 32;
+      }
+    });
+
+    if (newOptions.weightScale !== undefined) {
+      if (!WEIGHT_SCALES.includes(newOptions.weightScale)) {
+        console.error(
+          `Invalid weightScale: must be one of ${WEIGHT_SCALES.join(", ")}.`
+        );
+        this.settings.weightScale = "linear";
+      }
+    }
+
+    if (newOptions.colorRamp !== undefined && newOptions.colorRamp !== null) {
+      if (
+        !Array.isArray(newOptions.colorRamp) ||
+        newOptions.colorRamp.length < 2 ||
+        !newOptions.colorRamp.every(parseHexColor)
+      ) {
+        console.error(
+          "Invalid colorRamp: must be an array of two or more hex colors."
+        );
+        this.settings.colorRamp = null;
+      }
+    }
+
+    if (
+      newOptions.minFontSize !== undefined ||
+      newOptions.maxFontSize !== undefined ||
+      newOptions.weightScale !== undefined ||
+      newOptions.colorRamp !== undefined
+    ) {
+      this._applyWeights();
+      this._invalidate();
+    }
+
+    if (
+      newOptions.radius !== undefined ||
+      newOptions.shape !== undefined ||
+      newOptions.majorRadius !== undefined ||
+      newOptions.minorRadius !== undefined
+    ) {
+      if (newOptions.shape !== undefined) {
+        this._endOrientation(false);
+        this._basis = createBasis();
+      }
+      this._morphTags();
+    }
+
+    if (newOptions.dragThreshold !== undefined) {
+      if (
+        typeof newOptions.dragThreshold !== "number" ||
+        newOptions.dragThreshold < 0
+      ) {
+        console.error("Invalid dragThreshold: must be a non-negative number.");
+        this.settings.dragThreshold = 5;
+      }
+    }
+
+    if (newOptions.touchAction !== undefined) {
+      if (typeof newOptions.touchAction !== "string") {
+        console.error("Invalid touchAction: must be a CSS touch-action value.");
+        this.settings.touchAction = "pan-y";
+      }
+    }
+
+    if (
+      newOptions.enableTouch !== undefined ||
+      newOptions.enableDrag !== undefined ||
+      newOptions.touchAction !== undefined
+    ) {
+      this._updateTouchAction();
+    }
+
+    if (
+      newOptions.zoom !== undefined ||
+      newOptions.minZoom !== undefined ||
+      newOptions.maxZoom !== undefined
+    ) {
+      const { zoom, minZoom, maxZoom } = this.settings;
+      if (!(minZoom > 0) || !(maxZoom >= minZoom)) {
+        console.error(
+          "Invalid minZoom/maxZoom: must be positive numbers with minZoom <= maxZoom."
+        );
+        this.settings.minZoom = 0.5;
+        this.settings.maxZoom = 4;
+      }
+      this.settings.zoom = previous.zoom;
+      this._endZoom(false);
+      if (typeof zoom !== "number" || !(zoom > 0)) {
+        console.error("Invalid zoom: must be a positive number.");
+        this._setZoom(1);
+      } else {
+        this._setZoom(zoom);
+      }
+    }
+
+    if (newOptions.projection !== undefined) {
+      if (!PROJECTIONS.includes(newOptions.projection)) {
+        console.error(
+          `Invalid projection: must be one of ${PROJECTIONS.join(", ")}.`
+        );
+        this.settings.projection = "perspective";
+      }
+    }
+
+    if (newOptions.depthEffects !== undefined) {
+      this._depthEffectOptions = this._pickDepthEffects(
+        newOptions.depthEffects
+      );
+      this.settings.depthEffects = {
+        ...DEFAULT_DEPTH_EFFECTS,
+        ...this._depthEffectOptions,
+      };
+      this._invalidate();
+    }
+
+    if (newOptions.theme !== undefined) {
+      this.settings.theme = this._validateTheme(newOptions.theme);
+      this._applyTheme();
+    }
+
+    if (newOptions.motion !== undefined) {
+      this.settings.motion = this._validateMotion(newOptions.motion);
+      this._applyMotion();
+    }
+
+    if (newOptions.pauseWhenHidden !== undefined) {
+      this._applyVisibility();
+    }
+
+    if (newOptions.fov !== undefined) {
+      if (
+        typeof newOptions.fov !== "number" ||
+        !(newOptions.fov > 0 && newOptions.fov < 180)
+      ) {
+        console.error("Invalid fov: must be a number between 0 and 180.");
+        this.settings.fov = 40;
+      }
+    }
+
+    if (newOptions.cameraDistance !== undefined) {
+      if (
+        newOptions.cameraDistance !== null &&
+        !(
+          typeof newOptions.cameraDistance === "number" &&
+          newOptions.cameraDistance > 0
+        )
+      ) {
+        console.error("Invalid cameraDistance: must be a positive number.");
+        this.settings.cameraDistance = null;
+      }
+    }
+
+    if (
+      this.settings.paused &&
+      (newOptions.projection !== undefined ||
+        newOptions.fov !== undefined ||
+        newOptions.cameraDistance !== undefined)
+    ) {
+      this._draw();
     }
 
-    if (newOptions.enableTouch !== undefined) {
-      if (newOptions.enableTouch) {
-        this._bindTouch();
+    if (newOptions.enableWheelZoom !== undefined) {
+      if (newOptions.enableWheelZoom) {
+        this.canvas.addEventListener("wheel", this._wheelHandler, {
+          passive: false,
+        });
       } else {
-        this.canvas.removeEventListener("touchstart", this._touchStartHandler);
-        this.canvas.removeEventListener("touchmove", this._touchMoveHandler);
-        this.canvas.removeEventListener("touchend", this._bindTouch);
+        this.canvas.removeEventListener("wheel", this._wheelHandler);
       }
     }
 
@@ -430,6 +1444,44 @@ class Orbity {
     if (newOptions.minVelocityThreshold !== undefined) {
       this.settings.minVelocityThreshold = newOptions.minVelocityThreshold;
     }
+
+    if (newOptions.historyLimit !== undefined) {
+      if (
+        typeof newOptions.historyLimit !== "number" ||
+        newOptions.historyLimit < 0
+      ) {
+        console.error("Invalid historyLimit: must be a non-negative number.");
+        this.settings.historyLimit = 100;
+      }
+      this._trimHistory();
+    }
+
+    // Most options only show on the next frame, which may not be coming.
+    this._requestFrame();
+
+    const changed = Object.keys(newOptions).filter(
+      (key) => previous[key] !== this.settings[key]
+    );
+    if (changed.length) {
+      const before = {};
+      const after = {};
+      changed.forEach((key) => {
+        before[key] = previous[key];
+        after[key] = this.settings[key];
+      });
+      this._optionsChanged(before, after);
+    }
+  }
+
+  /**
+   * Records changed options for undo/redo and emits `optionsChange`.
+   * @private
+   * @param {Object} before - Previous values of the changed options.
+   * @param {Object} after - New values of the changed options.
+   */
+  _optionsChanged(before, after) {
+    this._record({ action: "options", before, after });
+    this._emit("optionsChange", { options: after, previous: before });
   }
 
   /**
@@ -443,179 +1495,456 @@ class Orbity {
       console.error("Invalid tag: 'text' is required and must be a string.");
       return false;
     }
-    if (!tagData.color || !/^#[0-9A-F]{6}$/i.test(tagData.color)) {
+    if (
+      (tagData.color !== undefined || !this.settings.colorRamp) &&
+      (!tagData.color || !/^#([0-9A-F]{3}){1,2}$/i.test(tagData.color))
+    ) {
       console.error("Invalid tag: 'color' must be a valid hex color code.");
       return false;
     }
+    if (tagData.weight !== undefined && !Number.isFinite(tagData.weight)) {
+      console.error("Invalid tag: 'weight' must be a finite number.");
+      return false;
+    }
+    if (
+      tagData.fontStyle !== undefined &&
+      !FONT_STYLES.includes(tagData.fontStyle)
+    ) {
+      console.error(
+        `Invalid tag: 'fontStyle' must be one of ${FONT_STYLES.join(", ")}.`
+      );
+      return false;
+    }
+    const lengths = [
+      "padding",
+      "borderWidth",
+      "borderRadius",
+      "shadowBlur",
+      "maxWidth",
+      "lineHeight",
+    ];
+    for (const key of lengths) {
+      const value = tagData[key];
+      if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+        console.error(`Invalid tag: '${key}' must be a non-negative number.`);
+        return false;
+      }
+    }
+    for (const key of ["shadowOffsetX", "shadowOffsetY"]) {
+      if (tagData[key] !== undefined && !Number.isFinite(tagData[key])) {
+        console.error(`Invalid tag: '${key}' must be a finite number.`);
+        return false;
+      }
+    }
     return true;
   }
 
   /**
-   * Handles drag-like interactions for rotating the tag cloud.
+   * Listens for Pointer Events on the canvas. Mouse, pen and touch input
+   * share one path: a press that moves further than `dragThreshold` drags
+   * the cloud, one that does not is a click, and two touching pointers pinch
+   * and twist.
    * @private
    */
-  _bindDragEvents(startEvent, moveEvent, endEvent, getPosition) {
-    if (!this._dragHandlers) this._dragHandlers = {};
-
-    if (this._dragHandlers[startEvent]) {
-      this.canvas.removeEventListener(
-        startEvent,
-        this._dragHandlers[startEvent]
-      );
-      this.canvas.removeEventListener(moveEvent, this._dragHandlers[moveEvent]);
-      this.canvas.removeEventListener(endEvent, this._dragHandlers[endEvent]);
-      this.canvas.removeEventListener(
-        "mouseleave",
-        this._dragHandlers.mouseleave
-      );
-      if (this._dragHandlers.windowMouseUp) {
-        window.removeEventListener("mouseup", this._dragHandlers.windowMouseUp);
-      }
+  _bindPointer() {
+    this.canvas.addEventListener("pointerdown", this._pointerDownHandler);
+    this.canvas.addEventListener("pointermove", this._pointerMoveHandler);
+    this.canvas.addEventListener("pointerup", this._pointerUpHandler);
+    this.canvas.addEventListener("pointercancel", this._pointerUpHandler);
+    this.canvas.addEventListener("pointerleave", this._pointerLeaveHandler);
+    if (this.settings.enableClick) {
+      this.canvas.addEventListener("click", this._clickHandler);
+    }
+    if (this.settings.enableWheelZoom) {
+      this.canvas.addEventListener("wheel", this._wheelHandler, {
+        passive: false,
+      });
     }
+    this._updateTouchAction();
+  }
 
-    let isDragging = false;
-    let lastX = 0;
-    let lastY = 0;
+  /**
+   * Removes the Pointer Events listeners and the `touch-action` style.
+   * @private
+   */
+  _unbindPointer() {
+    this.canvas.removeEventListener("pointerdown", this._pointerDownHandler);
+    this.canvas.removeEventListener("pointermove", this._pointerMoveHandler);
+    this.canvas.removeEventListener("pointerup", this._pointerUpHandler);
+    this.canvas.removeEventListener("pointercancel", this._pointerUpHandler);
+    this.canvas.removeEventListener("pointerleave", this._pointerLeaveHandler);
+    this.canvas.removeEventListener("click", this._clickHandler);
+    this.canvas.removeEventListener("wheel", this._wheelHandler);
+    this.canvas.style.touchAction = "";
+    this._pointers.clear();
+    this._gesture = null;
+    this._dragging = false;
+  }
 
-    const startHandler = (e) => {
-      if (!this.settings.enableDrag) return;
-      isDragging = true;
-      const pos = getPosition(e);
-      lastX = pos.x;
-      lastY = pos.y;
+  /**
+   * Applies `touchAction` to the canvas while touch dragging is enabled, and
+   * leaves touches to the browser otherwise.
+   * @private
+   */
+  _updateTouchAction() {
+    const { enableTouch, enableDrag, touchAction } = this.settings;
+    this.canvas.style.touchAction =
+      enableTouch && enableDrag ? touchAction : "";
+  }
 
-      if (this.velocity.x === 0 && this.velocity.y === 0) {
-        this.velocity.x = this.settings.speed;
-        this.velocity.y = this.settings.speed;
-      }
-      if (endEvent === "mouseup") {
-        window.addEventListener("mouseup", endHandler);
-        this._dragHandlers.windowMouseUp = endHandler;
-      }
-    };
+  /**
+   * Starts tracking a pressed pointer.
+   * @private
+   * @param {PointerEvent} e - The pointerdown event.
+   */
+  _onPointerDown(e) {
+    if (e.button !== 0) return;
+    if (e.pointerType === "touch" && !this.settings.enableTouch) return;
+    const pt = this._getPointer(e);
+    if (!this._pointers.size) this._suppressClick = false;
+    this._pointers.set(e.pointerId, { ...pt, startX: pt.x, startY: pt.y });
+    if (this._pointers.size === 2) this._startGesture(e);
+  }
 
-    const moveHandler = (e) => {
-      if (!this.settings.enableDrag || !isDragging) return;
+  /**
+   * Drags or gestures with pressed pointers, and hovers tags with a mouse or
+   * pen that is not pressed.
+   * @private
+   * @param {PointerEvent} e - The pointermove event.
+   */
+  _onPointerMove(e) {
+    const pt = this._getPointer(e);
+    const pointer = this._pointers.get(e.pointerId);
+    if (!pointer) {
+      if (e.pointerType !== "touch") this._hoverHandler(pt, e);
+      return;
+    }
+    if (this._gesture) {
+      pointer.x = pt.x;
+      pointer.y = pt.y;
+      this._updateGesture(e);
+      return;
+    }
+    if (!this.settings.enableDrag) return;
+    if (!this._dragging) {
+      const distance = Math.hypot(pt.x - pointer.startX, pt.y - pointer.startY);
+      if (distance < this.settings.dragThreshold) return;
+      this._startDrag(pointer, e);
+    }
+    this._dragBy(pointer, pt);
+    pointer.x = pt.x;
+    pointer.y = pt.y;
+    e.preventDefault();
+  }
 
-      const pos = getPosition(e);
-      const dx = (pos.x - lastX) * (this.settings.dragSensitivity || 1);
-      const dy = (pos.y - lastY) * (this.settings.dragSensitivity || 1);
+  /**
+   * Stops tracking a released or cancelled pointer and ends the drag once
+   * the last pointer is up.
+   * @private
+   * @param {PointerEvent} e - The pointerup or pointercancel event.
+   */
+  _onPointerUp(e) {
+    const pointer = this._pointers.get(e.pointerId);
+    if (!pointer) return;
+    this._pointers.delete(e.pointerId);
+    if (
+      this.canvas.hasPointerCapture &&
+      this.canvas.hasPointerCapture(e.pointerId)
+    ) {
+      this.canvas.releasePointerCapture(e.pointerId);
+    }
+    this._gesture = null;
+    if (this._pointers.size >= 2) this._startGesture(e);
+    if (this._pointers.size || !this._dragging) return;
+    this._dragging = false;
+    this._applyDragEasing();
+    this._emit("dragEnd", {
+      x: pointer.x,
+      y: pointer.y,
+      velocity: { ...this.velocity },
+      originalEvent: e,
+    });
+  }
 
-      if (this.settings.maxVelocity > 0) {
-        this.velocity.x = Math.min(
-          Math.max(dy * this.settings.speed, -this.settings.maxVelocity),
-          this.settings.maxVelocity
-        );
-        this.velocity.y = Math.min(
-          Math.max(dx * this.settings.speed, -this.settings.maxVelocity),
-          this.settings.maxVelocity
-        );
-      } else {
-        this.velocity.x = dy * this.settings.speed;
-        this.velocity.y = dx * this.settings.speed;
-      }
+  /**
+   * Clears the hover state when a mouse or pen leaves the canvas.
+   * @private
+   * @param {PointerEvent} e - The pointerleave event.
+   */
+  _onPointerLeave(e) {
+    if (e.pointerType !== "touch") this._clearHover(e);
+  }
 
-      lastX = pos.x;
-      lastY = pos.y;
+  /**
+   * Turns a press into a drag: captures the pointer so the drag continues
+   * outside the canvas, and suppresses the click that follows the release.
+   * @private
+   * @param {Object} pointer - The tracked pointer.
+   * @param {PointerEvent} e - The event that started the drag.
+   */
+  _startDrag(pointer, e) {
+    this._suppressClick = true;
+    if (this.canvas.setPointerCapture) {
+      this._pointers.forEach((_, pointerId) => {
+        this.canvas.setPointerCapture(pointerId);
+      });
+    }
+    if (this._dragging) return;
+    this._dragging = true;
+    this.blurTag();
+    this._endOrientation(false);
+    this._emit("dragStart", {
+      x: pointer.startX,
+      y: pointer.startY,
+      originalEvent: e,
+    });
+  }
 
-      if (e.preventDefault) e.preventDefault();
+  /**
+   * Turns the cloud like a trackball: the point of a virtual sphere around
+   * the cloud that is under the pointer follows it, whatever the cloud's
+   * orientation. The turn also becomes the velocity the cloud keeps spinning
+   * with once it is released.
+   * @private
+   * @param {{x: number, y: number}} from - Previous pointer position relative to the canvas.
+   * @param {{x: number, y: number}} to - New pointer position relative to the canvas.
+   */
+  _dragBy(from, to) {
+    const turn = quaternionToRotationVector(
+      quaternionBetween(this._getArcballPoint(from), this._getArcballPoint(to))
+    );
+    const sensitivity = this.settings.dragSensitivity || 1;
+    const locked = getLockedAxes(this.settings.shape || DEFAULT_SHAPE);
+    const velocity = {
+      x: locked.x ? 0 : turn.x * sensitivity,
+      y: locked.y ? 0 : -turn.y * sensitivity,
+      z: locked.x || locked.y ? 0 : turn.z * sensitivity,
     };
+    const step = this._clampVelocity(velocity);
+    this._rotateTags(step.x, step.y, step.z);
+    // With reduced motion the cloud only turns while the pointer moves.
+    if (!this._reducedMotion) {
+      this.velocity = step;
+      this.rotation = { ...step };
+    }
+    this._invalidate();
+  }
 
-    const endHandler = () => {
-      if (!this.settings.enableDrag) return;
-      isDragging = false;
-      this._applyDragEasing();
-    };
+  /**
+   * Maps a point on the canvas onto the virtual trackball sphere, which has
+   * the cloud's on-screen radius. Points outside it land on its rim.
+   * @private
+   * @param {{x: number, y: number}} pt - Position relative to the canvas.
+   * @returns {{x: number, y: number, z: number}} Unit vector from the center; negative z faces the viewer.
+   */
+  _getArcballPoint(pt) {
+    const radius = this.settings.radius * this.settings.zoom || 1;
+    const x = (pt.x - this.center.x) / radius;
+    const y = (pt.y - this.center.y) / radius;
+    const lengthSq = x * x + y * y;
+    if (lengthSq < 1) return { x, y, z: -Math.sqrt(1 - lengthSq) };
+    const length = Math.sqrt(lengthSq);
+    return { x: x / length, y: y / length, z: 0 };
+  }
 
-    const leaveHandler = () => {
-      if (!this.settings.enableDrag) return;
-      if (isDragging) {
-        isDragging = false;
-        this._applyDragEasing();
-      }
+  /**
+   * Clamps each component of a rotation velocity to `maxVelocity`.
+   * @private
+   * @param {{x: number, y: number, z: number}} velocity - Rotation per frame around each axis in radians.
+   * @returns {{x: number, y: number, z: number}} The clamped velocity.
+   */
+  _clampVelocity(velocity) {
+    const { maxVelocity } = this.settings;
+    if (!(maxVelocity > 0)) return velocity;
+    const clamp = (value) =>
+      Math.max(-maxVelocity, Math.min(value, maxVelocity));
+    return {
+      x: clamp(velocity.x),
+      y: clamp(velocity.y),
+      z: clamp(velocity.z),
     };
-
-    this.canvas.addEventListener(startEvent, startHandler);
-    this.canvas.addEventListener(moveEvent, moveHandler, { passive: false });
-    this.canvas.addEventListener(endEvent, endHandler);
-    this.canvas.addEventListener("mouseleave", leaveHandler);
-
-    this._dragHandlers[startEvent] = startHandler;
-    this._dragHandlers[moveEvent] = moveHandler;
-    this._dragHandlers[endEvent] = endHandler;
-    this._dragHandlers.mouseleave = leaveHandler;
   }
 
   /**
-   * Handles touch interactions for rotating the tag cloud.
+   * Returns the midpoint, distance and angle of the first two pointers.
    * @private
+   * @returns {{x: number, y: number, distance: number, angle: number}} The pointers' geometry.
    */
-  _bindTouch() {
-    if (!this.settings.enableTouch) return;
+  _getGestureGeometry() {
+    const [a, b] = this._pointers.values();
+    return {
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+      distance: Math.hypot(b.x - a.x, b.y - a.y),
+      angle: Math.atan2(b.y - a.y, b.x - a.x),
+    };
+  }
 
-    this._bindDragEvents("touchstart", "touchmove", "touchend", (e) => ({
-      x: e.touches[0].clientX,
-      y: e.touches[0].clientY,
-    }));
+  /**
+   * Starts a two-pointer pinch and twist gesture.
+   * @private
+   * @param {PointerEvent} e - The pointerdown event of the second pointer.
+   */
+  _startGesture(e) {
+    const geometry = this._getGestureGeometry();
+    this._gesture = {
+      ...geometry,
+      startDistance: geometry.distance,
+      startZoom: this.settings.zoom,
+    };
+    if (this.settings.enableDrag) {
+      const [first] = this._pointers.values();
+      this._startDrag(first, e);
+    }
   }
 
   /**
-   * Handles the touch start event to initiate touch interaction.
+   * Follows a two-pointer gesture: moving both pointers drags the cloud,
+   * twisting them rolls it in the screen plane, and spreading or pinching
+   * them emits `pinch`.
    * @private
-   * @param {TouchEvent} event - The touch start event.
+   * @param {PointerEvent} e - The pointermove event.
    */
-  _onTouchStart(event) {
-    if (event.touches.length === 1) {
-      const touch = event.touches[0];
-      this.touch.x = touch.clientX;
-      this.touch.y = touch.clientY;
-      this.touch.active = true;
+  _updateGesture(e) {
+    const gesture = this._gesture;
+    const { x, y, distance, angle } = this._getGestureGeometry();
+    if (this.settings.enableDrag) {
+      this._dragBy(gesture, { x, y });
+      let twist = angle - gesture.angle;
+      if (twist > Math.PI) twist -= 2 * Math.PI;
+      if (twist < -Math.PI) twist += 2 * Math.PI;
+      const locked = getLockedAxes(this.settings.shape || DEFAULT_SHAPE);
+      if (twist && !locked.x && !locked.y) {
+        this._rotateTags(0, 0, twist);
+        this._invalidate();
+      }
+    }
+    if (distance !== gesture.distance && gesture.startDistance > 0) {
+      const scale = distance / gesture.startDistance;
+      if (this.settings.enablePinchZoom) {
+        this._endZoom(false);
+        this._setZoom(gesture.startZoom * scale);
+      }
+      this._emit("pinch", { scale, x, y, originalEvent: e });
     }
+    Object.assign(gesture, { x, y, distance, angle });
+    e.preventDefault();
   }
 
   /**
-   * Handles the touch move event to update touch interaction.
+   * Zooms with the mouse wheel or a trackpad instead of scrolling the page.
    * @private
-   * @param {TouchEvent} event - The touch move event.
+   * @param {WheelEvent} e - The wheel event.
    */
-  _onTouchMove(event) {
-    if (event.touches.length === 1 && this.touch.active) {
-      const touch = event.touches[0];
-      const dx =
-        (touch.clientX - this.touch.x) * (this.settings.dragSensitivity || 1);
-      const dy =
-        (touch.clientY - this.touch.y) * (this.settings.dragSensitivity || 1);
+  _onWheel(e) {
+    e.preventDefault();
+    const lines = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 400 : 1;
+    this._endZoom(false);
+    this._setZoom(this.settings.zoom * Math.exp(-e.deltaY * lines * 0.002));
+  }
 
-      if (this.settings.maxVelocity > 0) {
-        this.velocity.x = Math.min(
-          Math.max(dy * this.settings.speed, -this.settings.maxVelocity),
-          this.settings.maxVelocity
-        );
-        this.velocity.y = Math.min(
-          Math.max(dx * this.settings.speed, -this.settings.maxVelocity),
-          this.settings.maxVelocity
-        );
+  /**
+   * Animates the zoom factor to a new level.
+   * @param {number} level - The target zoom factor, clamped to `minZoom`..`maxZoom`.
+   * @param {Object} [options] - Transition options.
+   * @param {number} [options.duration] - Duration in milliseconds; defaults to `transitionDuration`.
+   * @param {string|Function} [options.easing] - Easing; defaults to `transitionEasing`.
+   * @returns {Promise<boolean>} Resolves when the zoom ends: true if it completed, false if it was interrupted or the level is invalid.
+   */
+  zoomTo(level, options = {}) {
+    if (typeof level !== "number" || !(level > 0)) {
+      console.error("Invalid zoom: must be a positive number.");
+      return Promise.resolve(false);
+    }
+    const {
+      duration: requested = this.settings.transitionDuration,
+      easing = this.settings.transitionEasing,
+    } = options;
+    const duration = this._getDuration(requested);
+    this._endZoom(false);
+    const to = this._clampZoom(level);
+    if (!(duration > 0) || to === this.settings.zoom) {
+      this._setZoom(to);
+      return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+      this._zoomTransition = {
+        resolve,
+        duration,
+        easing: getTransitionEasing(easing),
+        start: performance.now(),
+        from: this.settings.zoom,
+        to,
+      };
+      if (this.settings.paused) {
+        const tick = () => {
+          this._stepZoom();
+          this._zoomFrame = this._zoomTransition
+            ? requestAnimationFrame(tick)
+            : null;
+        };
+        tick();
       } else {
-        this.velocity.x = dy * this.settings.speed * 0.1;
-        this.velocity.y = dx * this.settings.speed * 0.1;
+        this._requestFrame();
       }
+    });
+  }
 
-      this.touch.x = touch.clientX;
-      this.touch.y = touch.clientY;
+  /**
+   * Clamps a zoom factor to `minZoom`..`maxZoom`.
+   * @private
+   * @param {number} level - The zoom factor.
+   * @returns {number} The clamped zoom factor.
+   */
+  _clampZoom(level) {
+    const { minZoom, maxZoom } = this.settings;
+    return Math.min(Math.max(level, minZoom), maxZoom);
+  }
 
-      if (event.preventDefault) event.preventDefault();
-    }
+  /**
+   * Sets the zoom factor and emits `zoom` if it changed. Unlike
+   * `updateOptions`, this is not recorded in the undo history.
+   * @private
+   * @param {number} level - The zoom factor, clamped to `minZoom`..`maxZoom`.
+   */
+  _setZoom(level) {
+    const zoom = this._clampZoom(level);
+    if (zoom === this.settings.zoom) return;
+    this.settings.zoom = zoom;
+    this._invalidate();
+    this._emit("zoom", { zoom });
   }
 
   /**
-   * Handles mouse interactions for rotating the tag cloud.
+   * Moves the zoom factor along the running zoom, ending it on its last frame.
    * @private
    */
-  _bindMouse() {
-    this._bindDragEvents("mousedown", "mousemove", "mouseup", (e) => ({
-      x: e.clientX,
-      y: e.clientY,
-    }));
+  _stepZoom() {
+    const transition = this._zoomTransition;
+    if (!transition) return;
+    const progress = Math.min(
+      (performance.now() - transition.start) / transition.duration,
+      1
+    );
+    const eased = transition.easing(progress);
+    this._setZoom(transition.from + (transition.to - transition.from) * eased);
+    if (progress >= 1) this._endZoom(true);
+  }
+
+  /**
+   * Ends the running zoom, if any, settling its promise.
+   * @private
+   * @param {boolean} completed - Whether the zoom reached its target.
+   */
+  _endZoom(completed) {
+    const transition = this._zoomTransition;
+    if (!transition) return;
+    this._zoomTransition = null;
+    if (this._zoomFrame) {
+      cancelAnimationFrame(this._zoomFrame);
+      this._zoomFrame = null;
+    }
+    transition.resolve(completed);
   }
 
   /**
@@ -645,22 +1974,40 @@ class Orbity {
     this.settings.autoEasing = enabled;
   }
 
+  /**
+   * Starts the ease-out after a drag. The animation loop applies the
+   * friction, so it stops with the loop when the cloud is paused, hidden or
+   * destroyed.
+   * @private
+   */
   _applyDragEasing() {
-    const { customFriction, minVelocityThreshold } = this.settings;
-
-    const easeOut = () => {
-      this.velocity.x *= customFriction;
-      this.velocity.y *= customFriction;
+    if (this._reducedMotion) {
+      this.velocity = { x: 0, y: 0, z: 0 };
+      this.rotation = { x: 0, y: 0, z: 0 };
+      return;
+    }
+    this._dragEasing = true;
+    this._stepDragEasing();
+    this._requestFrame();
+  }
 
-      if (Math.abs(this.velocity.x) < minVelocityThreshold) this.velocity.x = 0;
-      if (Math.abs(this.velocity.y) < minVelocityThreshold) this.velocity.y = 0;
+  /**
+   * Slows the cloud down by `customFriction` until its velocity drops below
+   * `minVelocityThreshold`, which ends the ease-out.
+   * @private
+   */
+  _stepDragEasing() {
+    const { customFriction, minVelocityThreshold } = this.settings;
+    this.velocity.x *= customFriction;
+    this.velocity.y *= customFriction;
+    this.velocity.z *= customFriction;
 
-      if (this.velocity.x !== 0 || this.velocity.y !== 0) {
-        requestAnimationFrame(easeOut);
-      }
-    };
+    if (Math.abs(this.velocity.x) < minVelocityThreshold) this.velocity.x = 0;
+    if (Math.abs(this.velocity.y) < minVelocityThreshold) this.velocity.y = 0;
+    if (Math.abs(this.velocity.z) < minVelocityThreshold) this.velocity.z = 0;
 
-    easeOut();
+    this._dragEasing =
+      this.velocity.x !== 0 || this.velocity.y !== 0 || this.velocity.z !== 0;
   }
 
   /**
@@ -681,6 +2028,7 @@ class Orbity {
       const { gamma = 0, beta = 0 } = e;
       this.velocity.x = gamma * 0.0005;
       this.velocity.y = beta * 0.0005;
+      this._requestFrame();
     };
 
     window.addEventListener("deviceorientation", handleOrientation);
@@ -696,37 +2044,34 @@ class Orbity {
     if (beta !== null && gamma !== null) {
       this.velocity.x = gamma * 0.0005;
       this.velocity.y = beta * 0.0005;
+      this._requestFrame();
     }
   }
 
-  /**
-   * Attaches mouse interaction events for the tag cloud.
-   * @private
-   */
-  _attachInteraction() {
-    if (this.settings.enableClick) {
-      this.canvas.addEventListener("click", this._onCanvasClick.bind(this));
-    }
-    this.canvas.addEventListener(
-      "mousemove",
-      this._onCanvasMouseMove.bind(this)
-    );
-    this.canvas.addEventListener(
-      "mouseleave",
-      this._onCanvasMouseLeave.bind(this)
-    );
-  }
-
   _onCanvasClick(e) {
+    if (this._suppressClick) {
+      this._suppressClick = false;
+      e.preventDefault();
+      return;
+    }
     const pt = this._getPointer(e);
-    const tag = this._getTagAt(pt);
-
-    if (tag && this.settings.clickEffect) {
-      tag._scale = this.settings.hoverScale * 1.1;
-      setTimeout(() => {
-        tag._scale = this.settings.hoverScale;
-      }, 200);
+    const hit =
+      (this.renderer.tagFromEvent && this.renderer.tagFromEvent(e)) ||
+      this._getTagAt(pt);
+    const tag = hit && this.tags[hit.index] === hit ? hit : null;
+
+    if (tag) {
+      if (getSafeHref(tag.href)) e.preventDefault();
+      if (this.settings.clickEffect && !this._reducedMotion) {
+        tag._scale = this.settings.hoverScale * 1.1;
+        setTimeout(() => {
+          tag._scale = this.settings.hoverScale;
+        }, 200);
+      }
+      this._activateTag(tag, pt, e);
+      return;
     }
+    if (this._reducedMotion) return;
 
     const dx = pt.x - this.center.x;
     const dy = pt.y - this.center.y;
@@ -741,44 +2086,110 @@ class Orbity {
       -(dy / distance) * velocityMagnitude || this.settings.speed * 0.1;
     this.velocity.y =
       -(dx / distance) * velocityMagnitude || this.settings.speed * 0.1;
+    this._requestFrame();
   }
 
-  _onCanvasMouseMove(e) {
-    const pt = this._getPointer(e);
-    const tag = this._getTagAt(pt);
+  /**
+   * Emits a cancelable `tagClick` event for a tag and, unless a listener called
+   * `preventDefault()`, follows the tag's `href` the way a link would.
+   * @private
+   * @param {Object} tag - The activated tag.
+   * @param {{x: number, y: number}} pt - Pointer position relative to the canvas.
+   * @param {Event} originalEvent - The DOM event that triggered the activation.
+   * @returns {boolean} False if a listener prevented the default action.
+   */
+  _activateTag(tag, pt, originalEvent) {
+    const event = this._emit("tagClick", {
+      ...this._getTagEventDetail(tag, pt, originalEvent),
+      defaultPrevented: false,
+      preventDefault() {
+        this.defaultPrevented = true;
+      },
+    });
+    if (event.defaultPrevented) return false;
 
-    if (tag && tag.index !== this._hoveredIndex) {
-      if (this._hoveredIndex !== null) {
-        const prev = this.tags[this._hoveredIndex];
-        prev._scale = 1;
-        prev._color = prev.color;
-        prev._opacity = 1;
-        this._events.tagLeave.forEach((cb) => cb(prev));
-      }
-      this._hoveredIndex = tag.index;
-      if (this.settings.hoverEffect) {
-        tag._scale = this.settings.hoverScale;
-        tag._color = this.settings.hoverColor || tag.color;
-        tag._opacity = this.settings.hoverOpacity;
-      }
-      this._events.tagHover.forEach((cb) => cb(tag));
+    if (tag.href) {
+      const newWindow =
+        originalEvent && (originalEvent.ctrlKey || originalEvent.metaKey);
+      this._followLink(tag, newWindow ? "_blank" : tag.target);
+    }
+    return true;
+  }
+
+  /**
+   * Navigates to a tag's `href` the way an anchor would, unless the link is
+   * unsafe (see `getSafeHref`).
+   * @private
+   * @param {Object} tag - The linked tag.
+   * @param {string} [target] - Browsing context to open the link in.
+   */
+  _followLink(tag, target) {
+    const href = getSafeHref(tag.href);
+    if (!href) return;
+    if (target && target !== "_self") {
+      const features = (tag.rel || "")
+        .split(/\s+/)
+        .filter((token) => token === "noopener" || token === "noreferrer")
+        .join(",");
+      window.open(href, target, features);
+    } else {
+      window.location.assign(href);
+    }
+  }
+
+  /**
+   * Hovers the tag under a mouse or pen pointer.
+   * @private
+   * @param {{x: number, y: number}} pt - Pointer position relative to the canvas.
+   * @param {PointerEvent} e - The pointermove event.
+   */
+  _updateHover(pt, e) {
+    const tag = this._getTagAt(pt);
+
+    if (tag && tag.index !== this._hoveredIndex) {
+      if (this._hoveredIndex !== null) {
+        const prev = this.tags[this._hoveredIndex];
+        prev._scale = 1;
+        prev._color = prev.color;
+        prev._opacity = 1;
+        this._emit("tagLeave", this._getTagEventDetail(prev, pt, e));
+      }
+      this._hoveredIndex = tag.index;
+      if (this.settings.hoverEffect) {
+        tag._scale = this._reducedMotion ? 1 : this.settings.hoverScale;
+        tag._color = this.settings.hoverColor || this._theme.hover;
+        tag._opacity = this.settings.hoverOpacity;
+      }
+      this.canvas.style.cursor = getSafeHref(tag.href) ? "pointer" : "";
+      this._announce(this._getTagLabel(tag));
+      this._requestFrame();
+      this._emit("tagHover", this._getTagEventDetail(tag, pt, e));
     } else if (!tag && this._hoveredIndex !== null) {
       const prev = this.tags[this._hoveredIndex];
       prev._scale = 1;
       prev._color = prev.color;
       prev._opacity = 1;
-      this._events.tagLeave.forEach((cb) => cb(prev));
+      this.canvas.style.cursor = "";
+      this._requestFrame();
+      this._emit("tagLeave", this._getTagEventDetail(prev, pt, e));
       this._hoveredIndex = null;
     }
   }
 
-  _onCanvasMouseLeave() {
+  /**
+   * Clears the hover state.
+   * @private
+   * @param {PointerEvent} e - The pointerleave event.
+   */
+  _clearHover(e) {
     if (this._hoveredIndex !== null) {
       const prev = this.tags[this._hoveredIndex];
       prev._scale = 1;
       prev._color = prev.color;
       prev._opacity = 1;
-      this._events.tagLeave.forEach((cb) => cb(prev));
+      this.canvas.style.cursor = "";
+      this._requestFrame();
+      this._emit("tagLeave", this._getTagEventDetail(prev, null, e));
       this._hoveredIndex = null;
     }
   }
@@ -789,31 +2200,49 @@ class Orbity {
    * @param {KeyboardEvent} event
    */
   _onKeyboard(event) {
+    const { focusKeys } = this.settings;
+    const focusedTag = this._getFocusedTag();
+
+    if (this._matchesKey(event, focusKeys.next)) {
+      if (this._moveFocus(1)) event.preventDefault();
+      return;
+    }
+    if (this._matchesKey(event, focusKeys.previous)) {
+      if (this._moveFocus(-1)) event.preventDefault();
+      return;
+    }
+    if (focusedTag && this._matchesKey(event, focusKeys.clear)) {
+      this.blurTag();
+      event.preventDefault();
+      return;
+    }
+    if (focusedTag && this._matchesKey(event, focusKeys.activate)) {
+      const { x = this.center.x, y = this.center.y } = focusedTag._screen;
+      this._activateTag(focusedTag, { x, y }, event);
+      event.preventDefault();
+      return;
+    }
+
     switch (event.key) {
       case "ArrowLeft":
-        this.rotation.y -= 0.1;
+        this._nudgeRotation(0, -1);
         event.preventDefault();
         break;
       case "ArrowRight":
-        this.rotation.y += 0.1;
+        this._nudgeRotation(0, 1);
         event.preventDefault();
         break;
       case "ArrowUp":
-        this.rotation.x -= 0.1;
+        this._nudgeRotation(-1, 0);
         event.preventDefault();
         break;
       case "ArrowDown":
-        this.rotation.x += 0.1;
+        this._nudgeRotation(1, 0);
         event.preventDefault();
         break;
       case "Home":
-        this.rotation.x = 0;
-        this.rotation.y = 0;
-        event.preventDefault();
-        break;
       case "End":
-        this.rotation.x = 0;
-        this.rotation.y = 0;
+        this.resetOrientation();
         event.preventDefault();
         break;
       case " ":
@@ -830,6 +2259,180 @@ class Orbity {
     }
   }
 
+  /**
+   * Checks whether a keyboard event matches one of the given key descriptors.
+   * Descriptors are a `KeyboardEvent.key` value optionally prefixed with
+   * modifiers, e.g. "Tab", "Shift+Tab" or "Ctrl+ArrowRight".
+   * @private
+   * @param {KeyboardEvent} event - The keyboard event.
+   * @param {Array<string>} descriptors - Key descriptors to match against.
+   * @returns {boolean} True if any descriptor matches.
+   */
+  _matchesKey(event, descriptors = []) {
+    return descriptors.some((descriptor) => {
+      const parts = descriptor === " " ? [" "] : descriptor.split("+");
+      const key = parts.pop();
+      const modifiers = parts.map((part) => part.toLowerCase());
+      return (
+        event.key.toLowerCase() === key.toLowerCase() &&
+        !!event.shiftKey === modifiers.includes("shift") &&
+        !!event.ctrlKey === modifiers.includes("ctrl") &&
+        !!event.altKey === modifiers.includes("alt") &&
+        !!event.metaKey === modifiers.includes("meta")
+      );
+    });
+  }
+
+  /**
+   * Returns the tags in keyboard traversal order. The order is captured when
+   * traversal starts so that it stays stable while the cloud turns.
+   * @private
+   * @returns {Array<Object>} Tags in focus order.
+   */
+  _getFocusOrder() {
+    if (this._focusOrder) return this._focusOrder;
+    const order = [...this.tags];
+    if (this.settings.focusOrder === "reading") {
+      order.sort((a, b) => {
+        const sa = a._screen || {};
+        const sb = b._screen || {};
+        const rowHeight = Math.min(sa.height || 0, sb.height || 0) / 2;
+        if (Math.abs((sa.y || 0) - (sb.y || 0)) > rowHeight) {
+          return (sa.y || 0) - (sb.y || 0);
+        }
+        return (sa.x || 0) - (sb.x || 0);
+      });
+    } else {
+      order.sort((a, b) => a.z - b.z);
+    }
+    this._focusOrder = order;
+    return order;
+  }
+
+  /**
+   * Moves keyboard focus to the next or previous tag. Moving past the last tag
+   * (or before the first) clears focus so the browser can move on.
+   * @private
+   * @param {number} step - 1 for the next tag, -1 for the previous tag.
+   * @returns {boolean} True if a tag received focus.
+   */
+  _moveFocus(step) {
+    if (!this.tags.length) return false;
+    const order = this._getFocusOrder();
+    const current = this._getFocusedTag();
+    const position = current ? order.indexOf(current) : -1;
+    let next;
+    if (position === -1) {
+      next = step > 0 ? 0 : order.length - 1;
+    } else {
+      next = position + step;
+    }
+    if (next < 0 || next >= order.length) {
+      this.blurTag();
+      return false;
+    }
+    this.focusTag(order[next].index);
+    return true;
+  }
+
+  /**
+   * Returns the tag that currently has keyboard focus.
+   * @private
+   * @returns {Object|null} The focused tag, or null.
+   */
+  _getFocusedTag() {
+    return this._focusedIndex !== null
+      ? this.tags[this._focusedIndex] || null
+      : null;
+  }
+
+  /**
+   * Gives keyboard focus to a tag and turns the cloud so it faces the viewer.
+   * @param {number} index - Index of the tag to focus.
+   */
+  focusTag(index) {
+    const tag = this.tags[index];
+    if (!tag) {
+      console.error(`Tag at index ${index} does not exist.`);
+      return;
+    }
+    if (this._focusedIndex === index) return;
+    const previous = this._getFocusedTag();
+    this._focusedIndex = index;
+    this._endOrientation(false);
+    if (previous) this._emit("tagBlur", this._getTagEventDetail(previous));
+    this._updateActiveDescendant();
+    const position = this._getFocusOrder().indexOf(tag) + 1;
+    this._announce(
+      `${this._getTagLabel(tag)}, ${position} of ${this.tags.length}`
+    );
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.rotation = { x: 0, y: 0, z: 0 };
+    if (this.settings.paused) {
+      this._turnToFocusedTag();
+    } else {
+      this._requestFrame();
+    }
+    this._emit("tagFocus", this._getTagEventDetail(tag));
+  }
+
+  /**
+   * Removes keyboard focus from the focused tag, if any.
+   */
+  blurTag() {
+    const tag = this._getFocusedTag();
+    this._focusedIndex = null;
+    if (!tag) return;
+    this._focusOrder = null;
+    this._updateActiveDescendant();
+    this._invalidate();
+    this._emit("tagBlur", this._getTagEventDetail(tag));
+  }
+
+  /**
+   * Turns a paused cloud until the focused tag faces the viewer, which the
+   * animation loop does otherwise.
+   * @private
+   */
+  _turnToFocusedTag() {
+    this._endFocusTurn();
+    const tick = () => {
+      const tag = this._getFocusedTag();
+      const turning = !!tag && this._turnTowardsFront(tag);
+      this._draw();
+      this._focusFrame = turning ? requestAnimationFrame(tick) : null;
+    };
+    tick();
+  }
+
+  /**
+   * Stops turning a paused cloud towards the focused tag.
+   * @private
+   */
+  _endFocusTurn() {
+    if (this._focusFrame) {
+      cancelAnimationFrame(this._focusFrame);
+      this._focusFrame = null;
+    }
+  }
+
+  /**
+   * Turns the cloud a step towards bringing a tag to the front.
+   * @private
+   * @param {Object} tag - The tag to bring to the front.
+   * @returns {boolean} False once the tag faces the viewer.
+   */
+  _turnTowardsFront(tag) {
+    const step = this._reducedMotion ? 1 : 0.15;
+    const shape = this.settings.shape || DEFAULT_SHAPE;
+    const rotation = getFrontRotation(tag, getLockedAxes(shape));
+    this._rotateTags(rotation.x * step, rotation.y * step);
+    return (
+      Math.abs(rotation.x) > FRONT_TOLERANCE ||
+      Math.abs(rotation.y) > FRONT_TOLERANCE
+    );
+  }
+
   _getPointer(e) {
     const rect = this.canvas.getBoundingClientRect();
     return { x: e.clientX - rect.left, y: e.clientY - rect.top };
@@ -848,154 +2451,209 @@ class Orbity {
     return null;
   }
 
+  /**
+   * Moves every tag to its resting position for the current shape.
+   * @private
+   */
   _positionTags() {
+    this._endTransition(false);
     if (!this.tags.length) return;
 
-    const R = this.settings.radius;
-    const N = this.tags.length;
-    const shape = this.settings.shape || DEFAULT_SHAPE;
+    const points = this._orientPoints(computeLayout(this.tags, this.settings));
+    this.tags.forEach((tag, i) => {
+      tag.x = points[i].x;
+      tag.y = points[i].y;
+      tag.z = points[i].z;
+    });
+  }
 
-    switch (shape) {
-      case "torus":
-        const majorRadius = this.settings.majorRadius || R * 0.6;
-        const minorRadius = this.settings.minorRadius || R * 0.3;
-        const majorSteps = Math.ceil(Math.sqrt(N));
-        const minorSteps = Math.ceil(N / majorSteps);
-
-        this.tags.forEach((tag, i) => {
-          const majorAngle = (i % majorSteps) * ((2 * Math.PI) / majorSteps);
-          const minorAngle =
-            Math.floor(i / majorSteps) * ((2 * Math.PI) / minorSteps);
-
-          const x =
-            (majorRadius + minorRadius * Math.cos(minorAngle)) *
-            Math.cos(majorAngle);
-          const y =
-            (majorRadius + minorRadius * Math.cos(minorAngle)) *
-            Math.sin(majorAngle);
-          const z = minorRadius * Math.sin(minorAngle);
-
-          tag.x = x;
-          tag.y = y;
-          tag.z = z;
-        });
-        break;
+  /**
+   * Applies the cloud's current orientation to layout points, so tags can be
+   * placed without undoing the rotation the cloud has built up.
+   * @private
+   * @param {Array<{x: number, y: number, z: number}>} points - Unrotated layout points.
+   * @returns {Array<{x: number, y: number, z: number}>} The rotated points.
+   */
+  _orientPoints(points) {
+    const [bx, by, bz] = this._basis;
+    return points.map(({ x, y, z }) => ({
+      x: x * bx.x + y * by.x + z * bz.x,
+      y: x * bx.y + y * by.y + z * bz.y,
+      z: x * bx.z + y * by.z + z * bz.z,
+    }));
+  }
 
-      case "cube":
-        const side = Math.ceil(Math.cbrt(N));
-        const threshold = 0.1;
-        let validTags = 0;
-
-        this.tags.forEach((tag) => {
-          let x, y, z;
-
-          do {
-            x = (validTags % side) - side / 2 + 0.5;
-            y = (Math.floor(validTags / side) % side) - side / 2 + 0.5;
-            z = Math.floor(validTags / (side * side)) - side / 2 + 0.5;
-            validTags++;
-          } while (
-            Math.abs(x) < threshold &&
-            Math.abs(y) < threshold &&
-            Math.abs(z) < threshold
-          );
+  /**
+   * Morphs the tags into another shape.
+   * @param {string} name - Name of a registered shape.
+   * @param {Object} [options] - Transition options.
+   * @param {number} [options.duration] - Duration in milliseconds; defaults to `transitionDuration`.
+   * @param {string|Function} [options.easing] - Easing; defaults to `transitionEasing`.
+   * @returns {Promise<boolean>} Resolves when the morph ends: true if it completed, false if it was interrupted or the shape is unknown.
+   */
+  setShape(name, options = {}) {
+    if (!getShape(name)) {
+      console.error(
+        `Invalid shape: must be one of ${getShapeNames().join(", ")}.`
+      );
+      return Promise.resolve(false);
+    }
+    const previous = this.settings.shape;
+    this.settings.shape = name;
+    this._endOrientation(false);
+    this._basis = createBasis();
+    if (previous !== name) {
+      this._optionsChanged({ shape: previous }, { shape: name });
+    }
+    return this._morphTags(options);
+  }
 
-          tag.x = x * (R / side) * 2;
-          tag.y = y * (R / side) * 2;
-          tag.z = z * (R / side) * 2;
-        });
-        break;
+  /**
+   * Tweens the tags from their current positions to their slots in the
+   * layout of the current shape. The target layout keeps rotating with the
+   * cloud, so the spin carries on during the morph. Entering tags fade and
+   * scale in at their slot; exiting tags fade and scale out where they are.
+   * @private
+   * @param {Object} [options] - Transition options.
+   * @param {number} [options.duration] - Duration in milliseconds.
+   * @param {string|Function} [options.easing] - Easing name or function.
+   * @param {Array<Object>} [options.entering] - Tags that were just added.
+   * @param {Array<Object>} [options.exiting] - Tags that were just removed.
+   * @param {boolean} [options.events=true] - Whether to emit `transitionStart` and `transitionEnd`. Moving tags in and out in `setTags` is not a shape morph, so it passes false.
+   * @returns {Promise<boolean>} Resolves with true when the morph completes, false when it is interrupted.
+   */
+  _morphTags(options = {}) {
+    const {
+      duration: requested = this.settings.transitionDuration,
+      easing = this.settings.transitionEasing,
+      entering = [],
+      exiting = [],
+      events = true,
+    } = options;
+    const duration = this._getDuration(requested);
+    this._endTransition(false);
+    const detail = events ? { shape: this.settings.shape, duration } : null;
+    if (detail) this._emit("transitionStart", detail);
+
+    if ((!this.tags.length && !exiting.length) || !(duration > 0)) {
+      exiting.forEach(revokeSvgUrl);
+      this._positionTags();
+      this._invalidate();
+      if (detail)
+        this._emit("transitionEnd", { ...detail, interrupted: false });
+      return Promise.resolve(true);
+    }
 
-      case "pyramid":
-        const levels = Math.ceil(Math.sqrt(N));
-        let index = 0;
-        for (let level = 0; level < levels; level++) {
-          const levelSize = levels - level;
-          const y = (level / levels) * R * 2 - R;
-          for (let i = 0; i < levelSize && index < N; i++, index++) {
-            const angle = (i / levelSize) * 2 * Math.PI;
-            const radius = (R * (levels - level)) / levels;
-            this.tags[index].x = radius * Math.cos(angle);
-            this.tags[index].y = y;
-            this.tags[index].z = radius * Math.sin(angle);
-          }
-        }
-        break;
-      case "helix":
-        const turns = 2;
-        const spacing = (2 * R) / N;
-        this.tags.forEach((tag, i) => {
-          const angle = (i / N) * 2 * Math.PI * turns;
-          const height = -R + i * spacing;
-          tag.x = R * Math.cos(angle);
-          tag.y = height;
-          tag.z = R * Math.sin(angle);
-        });
-        break;
-      case "ring":
-        this.tags.forEach((tag, i) => {
-          const angle = (i / N) * 2 * Math.PI;
-          tag.x = R * Math.cos(angle);
-          tag.y = 0;
-          tag.z = R * Math.sin(angle);
-        });
-        break;
-      case "verticalRing":
-        this.tags.forEach((tag, i) => {
-          const angle = (i / N) * 2 * Math.PI;
-          tag.x = 0;
-          tag.y = R * Math.sin(angle);
-          tag.z = R * Math.cos(angle);
-        });
-        break;
-      case "cylinder":
-        const heightStep = (2 * R) / Math.ceil(N / 10);
-        const circumferenceTags = Math.ceil(Math.sqrt(N));
-        this.tags.forEach((tag, i) => {
-          const level = Math.floor(i / circumferenceTags);
-          const angle =
-            (i % circumferenceTags) * ((2 * Math.PI) / circumferenceTags);
-          const height = -R + level * heightStep;
-          tag.x = R * Math.cos(angle);
-          tag.y = height;
-          tag.z = R * Math.sin(angle);
-        });
-        break;
+    const to = this._orientPoints(computeLayout(this.tags, this.settings));
+    entering.forEach((tag) => {
+      Object.assign(tag, to[tag.index]);
+      tag._presence = 0;
+    });
 
-      case "plane":
-        const gridCols = Math.ceil(Math.sqrt(N));
-        const gridRows = Math.ceil(N / gridCols);
-        const spacingX = (2 * R) / (gridCols - 1 || 1);
-        const spacingZ = (2 * R) / (gridRows - 1 || 1);
-        this.tags.forEach((tag, i) => {
-          const col = i % gridCols;
-          const row = Math.floor(i / gridCols);
-          tag.x = -R + col * spacingX;
-          tag.y = 0;
-          tag.z = -R + row * spacingZ;
-        });
-        break;
+    return new Promise((resolve) => {
+      this._transition = {
+        detail,
+        resolve,
+        duration,
+        easing: getTransitionEasing(easing),
+        start: performance.now(),
+        from: this.tags.map(({ x, y, z }) => ({ x, y, z })),
+        to,
+        entering,
+        exiting,
+      };
+      if (this.settings.paused) {
+        const tick = () => {
+          this._stepTransition();
+          this._draw();
+          this._transitionFrame = this._transition
+            ? requestAnimationFrame(tick)
+            : null;
+        };
+        tick();
+      } else {
+        this._requestFrame();
+      }
+    });
+  }
 
-      case "sphere":
-      default:
-        const goldenRatio = (1 + Math.sqrt(5)) / 2;
-        const angleIncrement = Math.PI * 2 * goldenRatio;
-        this.tags.forEach((tag, i) => {
-          const t = i / N;
-          const inclination = Math.acos(1 - 2 * t);
-          const azimuth = angleIncrement * i;
-          tag.x = R * Math.sin(inclination) * Math.cos(azimuth);
-          tag.y = R * Math.sin(inclination) * Math.sin(azimuth);
-          tag.z = R * Math.cos(inclination);
-        });
-        break;
+  /**
+   * Moves the tags along the running morph, ending it on its last frame.
+   * @private
+   */
+  _stepTransition() {
+    const transition = this._transition;
+    if (!transition) return;
+    const progress = Math.min(
+      (performance.now() - transition.start) / transition.duration,
+      1
+    );
+    const eased = transition.easing(progress);
+    this.tags.forEach((tag, i) => {
+      const from = transition.from[i];
+      const to = transition.to[i];
+      tag.x = from.x + (to.x - from.x) * eased;
+      tag.y = from.y + (to.y - from.y) * eased;
+      tag.z = from.z + (to.z - from.z) * eased;
+    });
+    transition.entering.forEach((tag) => {
+      tag._presence = eased;
+    });
+    transition.exiting.forEach((tag) => {
+      tag._presence = 1 - eased;
+    });
+    if (progress >= 1) this._endTransition(true);
+  }
+
+  /**
+   * Ends the running morph, if any, settling its promise and emitting
+   * `transitionEnd` unless the morph was started without events.
+   * @private
+   * @param {boolean} completed - Whether the morph reached its target.
+   */
+  _endTransition(completed) {
+    const transition = this._transition;
+    if (!transition) return;
+    this._transition = null;
+    transition.entering.forEach((tag) => {
+      delete tag._presence;
+    });
+    transition.exiting.forEach(revokeSvgUrl);
+    if (this._transitionFrame) {
+      cancelAnimationFrame(this._transitionFrame);
+      this._transitionFrame = null;
+    }
+    if (transition.detail) {
+      this._emit("transitionEnd", {
+        ...transition.detail,
+        interrupted: !completed,
+      });
     }
+    transition.resolve(completed);
   }
 
-  _draw() {
-    const { ctx, canvas, center } = this;
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    const sortedTags = [...this.tags]
+  /**
+   * Projects the tags onto the screen and sorts them from back to front.
+   * Each item carries the screen position, font size and opacity the
+   * renderer needs.
+   * @private
+   * @returns {Array<Object>} Render items sorted from back to front.
+   */
+  _project() {
+    const viewport = {
+      width: this.center.x * 2,
+      height: this.center.y * 2,
+      zoom: this.settings.zoom,
+    };
+    const camera = this._getCamera();
+    const depthEffects = getThemedDepthEffects(
+      this._depthEffectOptions,
+      this._theme
+    );
+    const focusedTag = this._getFocusedTag();
+    const exiting = this._transition ? this._transition.exiting : [];
+    return this.tags
+      .concat(exiting)
       .filter(
         (tag) =>
           tag &&
@@ -1004,243 +2662,1111 @@ class Orbity {
           typeof tag.y === "number" &&
           typeof tag.z === "number"
       )
-      .sort((a, b) => b.z - a.z);
-    for (const tag of sortedTags) {
-      try {
-        const denominator = center.x * 2 + tag.z;
-        const scale = denominator > 0 ? (center.x * 2) / denominator : 1;
-        const x = isFinite(tag.x * scale + center.x)
-          ? tag.x * scale + center.x
-          : center.x;
-        const y = isFinite(tag.y * scale + center.y)
-          ? tag.y * scale + center.y
-          : center.y;
-        const fontSize = isFinite(
-          (tag.fontSize || 15) * scale * (tag._scale || 1)
-        )
-          ? (tag.fontSize || 15) * scale * (tag._scale || 1)
-          : 15;
-        const maxZ = center.x * 2;
-        const minZ = -center.x * 2;
-        const normalizedZ = (tag.z - minZ) / (maxZ - minZ);
-        const opacity = Math.max(0.2, Math.min(1, 1 - normalizedZ));
-        ctx.globalAlpha = opacity;
-        if (this._focusedIndex === tag.index) {
-          ctx.save();
-          ctx.strokeStyle = "#ffc845";
-          ctx.lineWidth = 3;
-          ctx.beginPath();
-          ctx.arc(x, y, fontSize, 0, 2 * Math.PI);
-          ctx.stroke();
-          ctx.restore();
-        }
-        if (tag.imageUrl) {
-          if (!tag._img) {
-            tag._img = new window.Image();
-            tag._img.src = tag.imageUrl;
-            tag._img.onload = () => this._draw();
-          }
-          if (tag._img.complete && tag._img.naturalWidth) {
-            ctx.drawImage(
-              tag._img,
-              x - fontSize / 2,
-              y - fontSize / 2,
-              fontSize,
-              fontSize
-            );
-            tag._screen = {
-              x,
-              y,
-              width: fontSize,
-              height: fontSize,
-            };
-            continue;
-          }
-        }
-        if (tag.svg) {
-          if (!tag._svg) {
-            const svg = new window.Image();
-            const svgBlob = new Blob([tag.svg], { type: "image/svg+xml" });
-            tag._svgUrl = URL.createObjectURL(svgBlob);
-            svg.src = tag._svgUrl;
-            svg.onload = () => {
-              tag._svg = svg;
-              this._draw();
-            };
-          }
-          if (tag._svg && tag._svg.complete && tag._svg.naturalWidth) {
-            ctx.drawImage(
-              tag._svg,
-              x - fontSize / 2,
-              y - fontSize / 2,
-              fontSize,
-              fontSize
-            );
-            tag._screen = {
-              x,
-              y,
-              width: fontSize,
-              height: fontSize,
-            };
-            continue;
-          }
-        }
-        if (tag.text) {
-          ctx.fillStyle = tag._color || tag.color || "#fff";
-          ctx.font = `${this.settings.customFontWeight} ${fontSize}px ${this.settings.customFont}`;
-          const metrics = ctx.measureText(tag.text);
-          tag._screen = {
-            x,
-            y,
-            width: metrics.width,
-            height: fontSize,
-          };
-          ctx.fillText(tag.text, x - metrics.width / 2, y + fontSize / 2);
+      .sort((a, b) => b.z - a.z)
+      .reduce((items, tag) => {
+        const effects = getDepthEffects(tag, camera, depthEffects);
+        if (effects.hidden && tag !== focusedTag) {
+          tag._screen = {};
+          return items;
         }
-      } catch (error) {
-        console.error("Error drawing tag:", tag, error);
-      }
-    }
+        const { x, y, scale } = projectPoint(tag, viewport, camera);
+        const presence = tag._presence === undefined ? 1 : tag._presence;
+        const baseSize = tag.fontSize || tag._weightFontSize || 15;
+        const size = baseSize * scale * effects.scale * (tag._scale || 1);
+        const fontSize = isFinite(size) ? size * presence : 15;
+        const color = this._getTagColor(tag);
+        items.push({
+          tag,
+          x,
+          y,
+          scale,
+          fontSize,
+          opacity: effects.opacity * presence,
+          color: depthEffects.fogColor
+            ? mixColors(color, depthEffects.fogColor, effects.fog)
+            : color,
+          blur: effects.blur,
+          focused: tag === focusedTag,
+        });
+        return items;
+      }, []);
   }
 
   /**
-   * Animates the rotation of the tag cloud.
+   * Fills in depth effects from the defaults and resets invalid fields.
    * @private
+   * @param {Object} [effects] - Depth effects, as for the `depthEffects` option.
+   * @returns {Object} The complete depth effects.
    */
-  _animate() {
-    if (this.settings.paused) return;
-
-    if (this.settings.autoSpin && !this.settings.paused) {
-      if (this.settings.autoEasing) {
-        this.velocity.x +=
-          (this.settings.speed - this.velocity.x) * this.settings.customEaseIn;
-        this.velocity.y +=
-          (this.settings.speed - this.velocity.y) * this.settings.customEaseIn;
-      } else {
-        this.velocity.x = this.settings.speed * 0.1;
-        this.velocity.y = this.settings.speed * 0.1;
-      }
-      if (this.settings.maxVelocity > 0) {
-        this.velocity.x = Math.max(
-          -this.settings.maxVelocity,
-          Math.min(this.velocity.x, this.settings.maxVelocity)
-        );
-        this.velocity.y = Math.max(
-          -this.settings.maxVelocity,
-          Math.min(this.velocity.y, this.settings.maxVelocity)
-        );
+  _resolveDepthEffects(effects) {
+    const resolved = { ...DEFAULT_DEPTH_EFFECTS, ...effects };
+    ["minOpacity", "maxOpacity", "scaleFalloff", "fog"].forEach((key) => {
+      const value = resolved[key];
+      if (typeof value !== "number" || !(value >= 0 && value <= 1)) {
+        console.error(`Invalid depthEffects.${key}: must be between 0 and 1.`);
+        resolved[key] = DEFAULT_DEPTH_EFFECTS[key];
       }
+    });
+    if (resolved.minOpacity > resolved.maxOpacity) {
+      console.error(
+        "Invalid depthEffects: minOpacity must not exceed maxOpacity."
+      );
+      resolved.minOpacity = DEFAULT_DEPTH_EFFECTS.minOpacity;
+      resolved.maxOpacity = DEFAULT_DEPTH_EFFECTS.maxOpacity;
     }
-
-    if (this.velocity.x !== 0 || this.velocity.y !== 0) {
-      if (this.settings.autoEasing) {
-        this.rotation.x +=
-          (this.velocity.x - this.rotation.x) * this.settings.easing;
-        this.rotation.y +=
-          (this.velocity.y - this.rotation.y) * this.settings.easing;
-      } else {
-        this.rotation.x += this.velocity.x;
-        this.rotation.y += this.velocity.y;
-      }
-
-      const shape = this.settings.shape || DEFAULT_SHAPE;
-      if (shape === "ring" || shape === "helix") {
-        this.rotation.x = 0;
-      } else if (shape === "verticalRing") {
-        this.rotation.y = 0;
-      }
-
-      const cosY = Math.cos(this.rotation.y),
-        sinY = Math.sin(this.rotation.y);
-      const cosX = Math.cos(this.rotation.x),
-        sinX = Math.sin(this.rotation.x);
-
-      this.tags.forEach((tag) => {
-        let { x, y, z } = tag;
-
-        let nx = x * cosY - z * sinY;
-        let nz = x * sinY + z * cosY;
-        let ny = y * cosX - nz * sinX;
-        nz = y * sinX + nz * cosX;
-        tag.x = nx;
-        tag.y = ny;
-        tag.z = nz;
-      });
+    if (typeof resolved.blur !== "number" || !(resolved.blur >= 0)) {
+      console.error(
+        "Invalid depthEffects.blur: must be a non-negative number."
+      );
+      resolved.blur = DEFAULT_DEPTH_EFFECTS.blur;
+    }
+    if (resolved.fogColor !== null && !parseHexColor(resolved.fogColor)) {
+      console.error("Invalid depthEffects.fogColor: must be a hex color.");
+      resolved.fogColor = DEFAULT_DEPTH_EFFECTS.fogColor;
     }
+    if (!BACK_FACES.includes(resolved.backFace)) {
+      console.error(
+        `Invalid depthEffects.backFace: must be one of ${BACK_FACES.join(", ")}.`
+      );
+      resolved.backFace = DEFAULT_DEPTH_EFFECTS.backFace;
+    }
+    return resolved;
+  }
 
-    this._draw();
-    this.animFrame = requestAnimationFrame(this._animate.bind(this));
+  /**
+   * Checks the depth effects that were set, leaving out the rest so that
+   * the theme can fill them in.
+   * @private
+   * @param {Object} [effects] - Depth effects, as for the `depthEffects` option.
+   * @returns {Object} The fields that were set, with invalid ones reset.
+   */
+  _pickDepthEffects(effects) {
+    const checked = this._resolveDepthEffects(effects);
+    return Object.fromEntries(
+      Object.keys(effects || {}).map((key) => [key, checked[key]])
+    );
   }
 
   /**
-   * Pauses the animation of the tag cloud.
+   * Returns the camera that `projectPoint` projects the tags with.
+   * @private
+   * @returns {Object} The projection, field of view, camera distance and cloud radius.
    */
-  pause() {
-    this.settings.paused = true;
-    if (this.animFrame) {
-      cancelAnimationFrame(this.animFrame);
-      this.animFrame = null;
-    }
-    this._events.pause?.forEach((cb) => cb());
+  _getCamera() {
+    return {
+      projection: this.settings.projection,
+      fov: this.settings.fov,
+      distance: this.settings.cameraDistance,
+      radius: this.settings.radius,
+    };
+  }
+
+  _draw() {
+    this.renderer.render(this._project());
   }
 
   /**
-   * Resumes the animation of the tag cloud.
+   * Returns the theme the cloud is drawn with, resolved from the `theme`
+   * option, the page's color preferences and the canvas' CSS custom
+   * properties.
+   * @returns {Object} The theme: `name`, `text`, `hover`, `focusRing`, `fogColor`, `tagColors` and `depthEffects`.
    */
-  resume() {
-    if (!this.settings.paused) return;
-    this.settings.paused = false;
-    this._animate();
-    this._events.resume?.forEach((cb) => cb());
+  getTheme() {
+    return { ...this._theme, depthEffects: { ...this._theme.depthEffects } };
   }
 
   /**
-   * Destroys the Orbity instance, removing all event listeners and clearing the canvas.
+   * Reads the theme's CSS custom properties again, e.g. after the page
+   * switched a class that sets them. Changes to `prefers-color-scheme` and
+   * `forced-colors` are picked up automatically.
    */
-  destroy() {
-    this.pause();
-    window.removeEventListener("resize", this._resize);
-    this.canvas.removeEventListener("touchstart", this._touchStartHandler);
-    this.canvas.removeEventListener("touchmove", this._touchMoveHandler);
-    this.canvas.removeEventListener("touchend", this._bindTouch);
-    this.canvas.removeEventListener("mousedown", this._bindMouse);
-    this.canvas.removeEventListener("mousemove", this._onCanvasMouseMove);
-    this.canvas.removeEventListener("mouseup", this._bindMouse);
-    this.canvas.removeEventListener("mouseleave", this._onCanvasMouseLeave);
-    this.canvas.removeEventListener("click", this._onCanvasClick);
-    window.removeEventListener("deviceorientation", this._orientationHandler);
-    this.canvas.removeEventListener("keydown", this._keyboardHandler);
-    if (this.canvas.parentNode) {
-      this.canvas.replaceWith(this.canvas.cloneNode(true));
-    }
-    this.tags = [];
+  refreshTheme() {
+    this._applyTheme();
   }
 
   /**
-   * Updates the index property of each tag to match its position in the tags array.
+   * Listens for changes to the color scheme and forced colors preferences.
    * @private
    */
-  _reindexTags() {
-    this.tags.forEach((tag, i) => {
-      tag.index = i;
-    });
+  _watchTheme() {
+    this._unwatchTheme();
+    if (typeof window.matchMedia !== "function") return;
+    this._themeQueries = [
+      window.matchMedia("(prefers-color-scheme: light)"),
+      window.matchMedia("(forced-colors: active)"),
+    ];
+    this._themeQueries.forEach((query) =>
+      query.addEventListener("change", this._themeHandler)
+    );
   }
 
   /**
-   * Registers an event listener for Orbity events (e.g., 'tagClick', 'tagHover', 'tagLeave').
-   * @param {string} event - The event name.
-   * @param {Function} callback - The callback function.
+   * Stops listening for color preference changes.
+   * @private
+   */
+  _unwatchTheme() {
+    if (!this._themeQueries) return;
+    this._themeQueries.forEach((query) =>
+      query.removeEventListener("change", this._themeHandler)
+    );
+    this._themeQueries = null;
+  }
+
+  /**
+   * Resolves the theme from the option, the color preferences and the CSS
+   * custom properties on the canvas, redrawing and emitting `themeChange`
+   * when it changed.
+   * @private
+   */
+  _applyTheme() {
+    const [light, forced] = this._themeQueries || [];
+    const style =
+      typeof window.getComputedStyle === "function"
+        ? window.getComputedStyle(this.canvas)
+        : null;
+    const properties = {};
+    Object.entries(THEME_PROPERTIES).forEach(([key, property]) => {
+      const value = style ? style.getPropertyValue(property).trim() : "";
+      if (value) properties[key] = value;
+    });
+    const theme = resolveTheme(this.settings.theme, {
+      colorScheme: light && light.matches ? "light" : "dark",
+      forcedColors: !!(forced && forced.matches),
+      properties,
+    });
+    const previous = this._theme;
+    this._theme = theme;
+    if (!previous || JSON.stringify(previous) === JSON.stringify(theme)) {
+      return;
+    }
+    this._invalidate();
+    this._emit("themeChange", { theme: this.getTheme() });
+  }
+
+  /**
+   * Checks the `theme` option, falling back to "auto" for an unknown name
+   * and dropping invalid fields.
+   * @private
+   * @param {string|Object} theme - The theme option.
+   * @returns {string|Object} A valid theme option.
+   */
+  _validateTheme(theme) {
+    const name = typeof theme === "string" ? theme : theme && theme.name;
+    if (
+      (typeof theme !== "string" && (!theme || typeof theme !== "object")) ||
+      (name !== undefined && !THEME_NAMES.includes(name))
+    ) {
+      console.error(
+        `Invalid theme: must be one of ${THEME_NAMES.join(", ")}, or an object.`
+      );
+      return "auto";
+    }
+    if (typeof theme === "string") return theme;
+    const valid = { ...theme };
+    ["text", "hover", "focusRing", "fogColor"].forEach((key) => {
+      if (valid[key] !== undefined && typeof valid[key] !== "string") {
+        console.error(`Invalid theme.${key}: must be a CSS color.`);
+        delete valid[key];
+      }
+    });
+    if (valid.tagColors !== undefined && typeof valid.tagColors !== "boolean") {
+      console.error("Invalid theme.tagColors: must be a boolean.");
+      delete valid.tagColors;
+    }
+    if (valid.depthEffects !== undefined) {
+      valid.depthEffects = this._pickDepthEffects(valid.depthEffects);
+    }
+    return valid;
+  }
+
+  /**
+   * Returns the color a tag is drawn in before depth fog: the hover color
+   * while hovered, otherwise its own or weighted color, falling back to the
+   * theme's text color. Themes without `tagColors` ignore the tags' colors.
+   * @private
+   * @param {Object} tag - The tag.
+   * @returns {string} A CSS color.
+   */
+  _getTagColor(tag) {
+    const theme = this._theme;
+    if (!theme.tagColors) {
+      const hovered =
+        this.settings.hoverEffect && tag === this.tags[this._hoveredIndex];
+      return hovered ? tag._color || theme.hover : theme.text;
+    }
+    return tag._color || tag.color || tag._weightColor || theme.text;
+  }
+
+  /**
+   * Listens for changes to the reduced motion preference.
+   * @private
+   */
+  _watchMotion() {
+    this._unwatchMotion();
+    if (typeof window.matchMedia !== "function") return;
+    this._motionQuery = window.matchMedia("(prefers-reduced-motion: reduce)");
+    this._motionQuery.addEventListener("change", this._motionHandler);
+  }
+
+  /**
+   * Stops listening for reduced motion preference changes.
+   * @private
+   */
+  _unwatchMotion() {
+    if (!this._motionQuery) return;
+    this._motionQuery.removeEventListener("change", this._motionHandler);
+    this._motionQuery = null;
+  }
+
+  /**
+   * Switches between full and reduced motion from the `motion` option and,
+   * for "auto", the reduced motion preference. Entering reduced motion stops
+   * the cloud where it is.
+   * @private
+   */
+  _applyMotion() {
+    const { motion } = this.settings;
+    const reduced =
+      motion === "reduced" ||
+      (motion === "auto" && !!this._motionQuery && this._motionQuery.matches);
+    if (reduced === this._reducedMotion) return;
+    this._reducedMotion = reduced;
+    if (!reduced) return;
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.rotation = { x: 0, y: 0, z: 0 };
+    const hovered = this.tags[this._hoveredIndex];
+    if (hovered) hovered._scale = 1;
+    if (this.renderer) this._invalidate();
+  }
+
+  /**
+   * Checks the `motion` option, falling back to "auto".
+   * @private
+   * @param {string} motion - The motion option.
+   * @returns {string} A valid motion option.
+   */
+  _validateMotion(motion) {
+    if (MOTIONS.includes(motion)) return motion;
+    console.error(`Invalid motion: must be one of ${MOTIONS.join(", ")}.`);
+    return "auto";
+  }
+
+  /**
+   * Returns how long a transition runs: not at all with reduced motion.
+   * @private
+   * @param {number} duration - The requested duration in milliseconds.
+   * @returns {number} The duration to use.
+   */
+  _getDuration(duration) {
+    return this._reducedMotion ? 0 : duration;
+  }
+
+  /**
+   * Turns the cloud for an arrow key: a push that eases out while it spins,
+   * or an instant step when it is still or motion is reduced. The animation
+   * loop only turns the cloud while it has velocity, so a push would be lost
+   * on a still one.
+   * @private
+   * @param {number} x - Direction around the X axis: -1, 0 or 1.
+   * @param {number} y - Direction around the Y axis: -1, 0 or 1.
+   */
+  _nudgeRotation(x, y) {
+    const { velocity } = this;
+    const spinning = velocity.x !== 0 || velocity.y !== 0 || velocity.z !== 0;
+    if (spinning && !this._reducedMotion) {
+      this.rotation.x += x * 0.1;
+      this.rotation.y += y * 0.1;
+      this._requestFrame();
+      return;
+    }
+    const locked = getLockedAxes(this.settings.shape || DEFAULT_SHAPE);
+    this._rotateTags(
+      locked.x ? 0 : x * KEY_ROTATION_STEP,
+      locked.y ? 0 : y * KEY_ROTATION_STEP
+    );
+    this._invalidate();
+  }
+
+  /**
+   * Exports the cloud as it currently looks to a standalone SVG string, with
+   * text as `<text>`, images as `<image>` and SVG tags embedded inline.
+   * @param {Object} [options] - Export options.
+   * @param {number} [options.width] - Width of the SVG; defaults to the canvas width.
+   * @param {number} [options.height] - Height of the SVG; defaults to the canvas height.
+   * @param {string} [options.background] - Background color; transparent when omitted.
+   * @param {string} [options.title] - Accessible title of the SVG.
+   * @returns {string} The SVG document.
+   */
+  toSVG(options = {}) {
+    return renderSVG(this.tags, {
+      width: this.center.x * 2,
+      height: this.center.y * 2,
+      zoom: this.settings.zoom,
+      projection: this.settings.projection,
+      fov: this.settings.fov,
+      cameraDistance: this.settings.cameraDistance,
+      radius: this.settings.radius,
+      depthEffects: this._depthEffectOptions,
+      theme: this.getTheme(),
+      customFont: this.settings.customFont,
+      customFontWeight: this.settings.customFontWeight,
+      minFontSize: this.settings.minFontSize,
+      maxFontSize: this.settings.maxFontSize,
+      weightScale: this.settings.weightScale,
+      colorRamp: this.settings.colorRamp,
+      ...options,
+    });
+  }
+  /**
+   * Returns a versioned, JSON-serializable snapshot of the cloud: its tags
+   * (without positions or runtime state), settings, orientation, rotation
+   * and velocity. Settings that cannot be serialized, such as custom
+   * renderer objects and easing functions, are left out.
+   * @returns {Object} The snapshot.
+   */
+  toJSON() {
+    const settings = {};
+    Object.keys(this.settings).forEach((key) => {
+      const value = this.settings[key];
+      if (typeof value === "function") return;
+      if (key === "renderer" && typeof value !== "string") return;
+      settings[key] = value;
+    });
+    return {
+      version: SNAPSHOT_VERSION,
+      tags: this.tags.map((tag) => this._getTagData(tag)),
+      settings,
+      orientation: this._basis.map(({ x, y, z }) => ({ x, y, z })),
+      rotation: { ...this.rotation },
+      velocity: { ...this.velocity },
+    };
+  }
+
+  /**
+   * Restores a snapshot made with `toJSON`, replacing the tags, settings and
+   * motion of this instance and clearing its undo history.
+   * @param {Object|string} snapshot - The snapshot, or a string from `Orbity.encodeSnapshot`.
+   * @returns {boolean} True if the snapshot was restored.
+   */
+  restore(snapshot) {
+    const data = readSnapshot(snapshot);
+    if (!data) return false;
+    this._replaying = true;
+    try {
+      const settings = {};
+      Object.keys(data.settings || {}).forEach((key) => {
+        if (data.settings[key] !== this.settings[key]) {
+          settings[key] = data.settings[key];
+        }
+      });
+      this.updateOptions(settings);
+      this.setTags(data.tags);
+    } finally {
+      this._replaying = false;
+    }
+    this._endOrientation(false);
+    if (Array.isArray(data.orientation) && data.orientation.length === 3) {
+      this._basis = data.orientation.map(({ x, y, z }) => ({ x, y, z }));
+    }
+    this._positionTags();
+    this.rotation = { x: 0, y: 0, z: 0, ...data.rotation };
+    this.velocity = { x: 0, y: 0, z: 0, ...data.velocity };
+    this.undoStack = [];
+    this.redoStack = [];
+    this._emitHistoryChange();
+    this._draw();
+    return true;
+  }
+
+  /**
+   * Animates the rotation of the tag cloud.
+   * @private
+   */
+  _animate() {
+    if (this.animFrame) cancelAnimationFrame(this.animFrame);
+    this.animFrame = null;
+    if (this.settings.paused || !this._visible) return;
+
+    this._stepTransition();
+    this._stepZoom();
+    this._stepOrientation();
+    if (this._dragEasing) this._stepDragEasing();
+
+    const focusedTag = this._getFocusedTag();
+    if (focusedTag) {
+      const turning = this._turnTowardsFront(focusedTag);
+      this._draw();
+      this._scheduleFrame(turning);
+      return;
+    }
+
+    if (this._dragging || this._orientationTransition) {
+      this._draw();
+      this._scheduleFrame(true);
+      return;
+    }
+
+    if (
+      this.settings.autoSpin &&
+      !this.settings.paused &&
+      !this._reducedMotion
+    ) {
+      const spin = this._getSpinVelocity(this.settings.autoEasing ? 1 : 0.1);
+      if (this.settings.autoEasing) {
+        const { customEaseIn } = this.settings;
+        this.velocity.x += (spin.x - this.velocity.x) * customEaseIn;
+        this.velocity.y += (spin.y - this.velocity.y) * customEaseIn;
+        this.velocity.z += (spin.z - this.velocity.z) * customEaseIn;
+      } else {
+        this.velocity = spin;
+      }
+      this.velocity = this._clampVelocity(this.velocity);
+    }
+
+    if (
+      this.velocity.x !== 0 ||
+      this.velocity.y !== 0 ||
+      this.velocity.z !== 0
+    ) {
+      if (this.settings.autoEasing) {
+        const { easing } = this.settings;
+        this.rotation.x += (this.velocity.x - this.rotation.x) * easing;
+        this.rotation.y += (this.velocity.y - this.rotation.y) * easing;
+        this.rotation.z += (this.velocity.z - this.rotation.z) * easing;
+      } else {
+        this.rotation.x += this.velocity.x;
+        this.rotation.y += this.velocity.y;
+        this.rotation.z += this.velocity.z;
+      }
+
+      const locked = getLockedAxes(this.settings.shape || DEFAULT_SHAPE);
+      if (locked.x) this.rotation.x = 0;
+      if (locked.y) this.rotation.y = 0;
+      if (locked.x || locked.y) this.rotation.z = 0;
+
+      this._rotateTags(this.rotation.x, this.rotation.y, this.rotation.z);
+    }
+
+    this._draw();
+    this._scheduleFrame(
+      this.velocity.x !== 0 || this.velocity.y !== 0 || this.velocity.z !== 0
+    );
+  }
+
+  /**
+   * Schedules the next frame of the animation loop. With `renderOnDemand`
+   * the loop stops once nothing moves, until `_requestFrame` restarts it.
+   * @private
+   * @param {boolean} moving - Whether the cloud moved this frame.
+   */
+  _scheduleFrame(moving) {
+    if (
+      !this.settings.renderOnDemand ||
+      moving ||
+      this._transition ||
+      this._zoomTransition
+    ) {
+      this._requestFrame();
+    }
+  }
+
+  /**
+   * Runs the animation loop on the next animation frame, unless it is
+   * paused, suspended while hidden, or already scheduled.
+   * @private
+   */
+  _requestFrame() {
+    if (this.settings.paused || !this._visible || this.animFrame) return;
+    this.animFrame = requestAnimationFrame(this._animate.bind(this));
+  }
+
+  /**
+   * Redraws the cloud after a change: at once when paused, otherwise on the
+   * next frame of the animation loop.
+   * @private
+   */
+  _invalidate() {
+    if (this.settings.paused) this._draw();
+    else this._requestFrame();
+  }
+
+  /**
+   * Watches whether the canvas is in view and the page is visible, so the
+   * animation loop can be suspended while nobody can see it.
+   * @private
+   */
+  _watchVisibility() {
+    document.addEventListener("visibilitychange", this._visibilityHandler);
+    if (typeof IntersectionObserver !== "function") return;
+    this._intersectionObserver = new IntersectionObserver((entries) => {
+      this._intersecting = entries[entries.length - 1].isIntersecting;
+      this._applyVisibility();
+    });
+    this._intersectionObserver.observe(this.canvas);
+  }
+
+  /**
+   * Stops watching the canvas and page visibility.
+   * @private
+   */
+  _unwatchVisibility() {
+    document.removeEventListener("visibilitychange", this._visibilityHandler);
+    if (this._intersectionObserver) {
+      this._intersectionObserver.disconnect();
+      this._intersectionObserver = null;
+    }
+  }
+
+  /**
+   * Suspends the animation loop when the cloud can't be seen and restarts it
+   * when it can, emitting `visibilityChange`. With `pauseWhenHidden` off the
+   * cloud always counts as visible.
+   * @private
+   */
+  _applyVisibility() {
+    const visible =
+      !this.settings.pauseWhenHidden ||
+      (this._intersecting && document.visibilityState !== "hidden");
+    if (visible === this._visible) return;
+    this._visible = visible;
+    if (visible) {
+      this._requestFrame();
+    } else if (this.animFrame) {
+      cancelAnimationFrame(this.animFrame);
+      this.animFrame = null;
+    }
+    this._emit("visibilityChange", { visible });
+  }
+
+  /**
+   * Returns the velocity `autoSpin` settles at: `speed` around `spinAxis`,
+   * or around the X and Y axes at once without one.
+   * @private
+   * @param {number} scale - Factor applied to `speed`.
+   * @returns {{x: number, y: number, z: number}} Rotation per frame around each axis in radians.
+   */
+  _getSpinVelocity(scale) {
+    const { speed, spinAxis } = this.settings;
+    const rate = speed * scale;
+    if (!this._isAxis(spinAxis)) return { x: rate, y: rate, z: 0 };
+    const length = Math.hypot(spinAxis.x, spinAxis.y, spinAxis.z);
+    return {
+      x: (spinAxis.x / length) * rate,
+      y: (-spinAxis.y / length) * rate,
+      z: (spinAxis.z / length) * rate,
+    };
+  }
+
+  /**
+   * Checks that a value is an axis: an `{x, y, z}` vector of finite numbers
+   * that are not all zero.
+   * @private
+   * @param {*} axis - The value to check.
+   * @returns {boolean} True if the value is an axis.
+   */
+  _isAxis(axis) {
+    return (
+      !!axis &&
+      Number.isFinite(axis.x) &&
+      Number.isFinite(axis.y) &&
+      Number.isFinite(axis.z) &&
+      (axis.x !== 0 || axis.y !== 0 || axis.z !== 0)
+    );
+  }
+
+  /**
+   * Rotates every tag by angles around the screen's X, Y and Z axes, taken
+   * together as one rotation vector. Positive `angleY` turns the front of
+   * the cloud to the right, like dragging it to the right does.
+   * @private
+   * @param {number} angleX - Rotation around the X axis in radians.
+   * @param {number} angleY - Rotation around the Y axis in radians.
+   * @param {number} [angleZ=0] - Rotation around the Z axis, in the screen plane, in radians.
+   */
+  _rotateTags(angleX, angleY, angleZ = 0) {
+    this._applyRotation(
+      quaternionFromRotationVector({ x: angleX, y: -angleY, z: angleZ })
+    );
+  }
+
+  /**
+   * Rotates every tag, the orientation basis and any running morph by a
+   * quaternion, and emits `rotate`.
+   * @private
+   * @param {{x: number, y: number, z: number, w: number}} q - The unit quaternion.
+   */
+  _applyRotation(q) {
+    rotatePointsByQuaternion(this.tags, q);
+    rotatePointsByQuaternion(this._basis, q);
+    if (this._transition) {
+      rotatePointsByQuaternion(this._transition.from, q);
+      rotatePointsByQuaternion(this._transition.to, q);
+      rotatePointsByQuaternion(this._transition.exiting, q);
+    }
+    if (this._events.rotate.length) {
+      const turn = quaternionToRotationVector(q);
+      this._emit("rotate", {
+        angleX: turn.x,
+        angleY: -turn.y,
+        angleZ: turn.z,
+        rotation: { ...q },
+        orientation: this.getOrientation(),
+      });
+    }
+  }
+
+  /**
+   * Returns the orientation of the cloud relative to its initial pose, which
+   * is restored by `resetOrientation` and when `shape` changes.
+   * @returns {{x: number, y: number, z: number, w: number}} A unit quaternion in screen axes (x right, y down, z into the screen).
+   */
+  getOrientation() {
+    return quaternionFromBasis(this._basis);
+  }
+
+  /**
+   * Turns the cloud to an orientation, stopping its current spin and
+   * clearing keyboard focus.
+   * @param {{x: number, y: number, z: number, w: number}} orientation - A quaternion, e.g. from `getOrientation`; it is normalized.
+   * @param {Object} [options] - Transition options.
+   * @param {number} [options.duration=0] - Duration in milliseconds; 0 turns the cloud at once.
+   * @param {string|Function} [options.easing] - Easing; defaults to `transitionEasing`.
+   * @returns {Promise<boolean>} Resolves when the turn ends: true if it completed, false if it was interrupted or the orientation is invalid.
+   */
+  setOrientation(orientation, options = {}) {
+    if (!isQuaternion(orientation)) {
+      console.error(
+        "Invalid orientation: must be an {x, y, z, w} quaternion of finite numbers, not all zero."
+      );
+      return Promise.resolve(false);
+    }
+    const { duration: requested = 0, easing = this.settings.transitionEasing } =
+      options;
+    const duration = this._getDuration(requested);
+    const to = normalizeQuaternion(orientation);
+    this._endOrientation(false);
+    this.blurTag();
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.rotation = { x: 0, y: 0, z: 0 };
+    if (!(duration > 0)) {
+      this._orientTo(to);
+      this._invalidate();
+      return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+      this._orientationTransition = {
+        resolve,
+        duration,
+        easing: getTransitionEasing(easing),
+        start: performance.now(),
+        from: this.getOrientation(),
+        to,
+      };
+      if (this.settings.paused) {
+        const tick = () => {
+          this._stepOrientation();
+          this._draw();
+          this._orientationFrame = this._orientationTransition
+            ? requestAnimationFrame(tick)
+            : null;
+        };
+        tick();
+      } else {
+        this._requestFrame();
+      }
+    });
+  }
+
+  /**
+   * Animates the cloud back to its initial pose.
+   * @param {Object} [options] - Transition options.
+   * @param {number} [options.duration] - Duration in milliseconds; defaults to `transitionDuration`.
+   * @param {string|Function} [options.easing] - Easing; defaults to `transitionEasing`.
+   * @returns {Promise<boolean>} Resolves when the turn ends: true if it completed, false if it was interrupted.
+   */
+  resetOrientation(options = {}) {
+    const { duration = this.settings.transitionDuration, easing } = options;
+    return this.setOrientation(createQuaternion(), { duration, easing });
+  }
+
+  /**
+   * Turns the cloud by an angle around an axis at once, on top of its
+   * current orientation. Unlike dragging, this ignores the axes a shape
+   * locks.
+   * @param {{x: number, y: number, z: number}} axis - Axis in screen axes (x right, y down, z into the screen); it is normalized.
+   * @param {number} angle - Angle in radians, right-handed around the axis.
+   * @returns {boolean} True if the cloud was turned.
+   */
+  rotateBy(axis, angle) {
+    if (!this._isAxis(axis)) {
+      console.error(
+        "Invalid axis: must be an {x, y, z} vector of finite numbers, not all zero."
+      );
+      return false;
+    }
+    if (!Number.isFinite(angle)) {
+      console.error("Invalid angle: must be a finite number.");
+      return false;
+    }
+    this._applyRotation(quaternionFromAxisAngle(axis, angle));
+    this._invalidate();
+    return true;
+  }
+
+  /**
+   * Turns the cloud from its current orientation to another one.
+   * @private
+   * @param {{x: number, y: number, z: number, w: number}} orientation - The unit quaternion to reach.
+   */
+  _orientTo(orientation) {
+    this._applyRotation(
+      normalizeQuaternion(
+        multiplyQuaternions(
+          orientation,
+          invertQuaternion(this.getOrientation())
+        )
+      )
+    );
+  }
+
+  /**
+   * Moves the cloud along the running orientation turn, ending it on its
+   * last frame.
+   * @private
+   */
+  _stepOrientation() {
+    const transition = this._orientationTransition;
+    if (!transition) return;
+    const progress = Math.min(
+      (performance.now() - transition.start) / transition.duration,
+      1
+    );
+    const eased = transition.easing(progress);
+    this._orientTo(slerpQuaternions(transition.from, transition.to, eased));
+    if (progress >= 1) this._endOrientation(true);
+  }
+
+  /**
+   * Ends the running orientation turn, if any, settling its promise.
+   * @private
+   * @param {boolean} completed - Whether the turn reached its target.
+   */
+  _endOrientation(completed) {
+    const transition = this._orientationTransition;
+    if (!transition) return;
+    this._orientationTransition = null;
+    if (this._orientationFrame) {
+      cancelAnimationFrame(this._orientationFrame);
+      this._orientationFrame = null;
+    }
+    transition.resolve(completed);
+  }
+
+  /**
+   * Pauses the animation of the tag cloud.
+   */
+  pause() {
+    this.settings.paused = true;
+    if (this.animFrame) {
+      cancelAnimationFrame(this.animFrame);
+      this.animFrame = null;
+    }
+    this._emit("pause");
+  }
+
+  /**
+   * Resumes the animation of the tag cloud.
+   */
+  resume() {
+    if (!this.settings.paused) return;
+    this.settings.paused = false;
+    if (this._transitionFrame) {
+      cancelAnimationFrame(this._transitionFrame);
+      this._transitionFrame = null;
+    }
+    if (this._zoomFrame) {
+      cancelAnimationFrame(this._zoomFrame);
+      this._zoomFrame = null;
+    }
+    if (this._orientationFrame) {
+      cancelAnimationFrame(this._orientationFrame);
+      this._orientationFrame = null;
+    }
+    this._endFocusTurn();
+    this._animate();
+    this._emit("resume");
+  }
+
+  /**
+   * Destroys the Orbity instance, removing all event listeners and clearing the canvas.
+   */
+  destroy() {
+    this.pause();
+    this._endFocusTurn();
+    this._endTransition(false);
+    this._endZoom(false);
+    this._endOrientation(false);
+    this._unbindResize();
+    if (this._pixelRatioQuery) {
+      this._pixelRatioQuery.removeEventListener(
+        "change",
+        this._pixelRatioHandler
+      );
+    }
+    this._unwatchTheme();
+    this._unwatchMotion();
+    this._unwatchVisibility();
+    this._unbindPointer();
+    window.removeEventListener("deviceorientation", this._orientationHandler);
+    this.canvas.removeEventListener("keydown", this._keyboardHandler);
+    this.canvas.removeEventListener("blur", this._blurHandler);
+    this.renderer.destroy();
+    this.settings.accessibleMirror = false;
+    this.settings.announce = false;
+    this._bindAccessibility();
+    if (this.canvas.parentNode) {
+      this.canvas.replaceWith(this.canvas.cloneNode(true));
+    }
+    this.tags = [];
+    this._emit("destroy");
+    Object.keys(this._events).forEach((event) => {
+      this._events[event] = [];
+    });
+  }
+
+  /**
+   * Brings indexes, layout and the accessible mirror up to date after the tags change.
+   * @private
+   */
+  _tagsChanged() {
+    this._reindexTags();
+    this._applyWeights();
+    this._positionTags();
+    this._syncAccessibleMirror();
+    this._emit("tagsChange", { tags: this.tags });
+  }
+
+  /**
+   * Derives font sizes and ramp colors from the tags' weights.
+   * @private
+   */
+  _applyWeights() {
+    const scaled = scaleWeights(this.tags, this.settings);
+    this.tags.forEach((tag, i) => {
+      tag._weightFontSize = scaled[i].fontSize;
+      tag._weightColor = scaled[i].color;
+    });
+  }
+
+  /**
+   * Sets up the accessible mirror and live region according to the settings.
+   * @private
+   */
+  _bindAccessibility() {
+    if (this.settings.accessibleMirror && !this._mirror) {
+      this._mirror = document.createElement("ul");
+      this._mirror.id = `${this._a11yId}-tags`;
+      Object.assign(this._mirror.style, VISUALLY_HIDDEN);
+      this._mirror.addEventListener("click", this._mirrorClickHandler);
+      this.canvas.appendChild(this._mirror);
+      this._syncAccessibleMirror();
+    } else if (!this.settings.accessibleMirror && this._mirror) {
+      this._mirror.removeEventListener("click", this._mirrorClickHandler);
+      this._mirror.remove();
+      this._mirror = null;
+      this.canvas.removeAttribute("aria-activedescendant");
+    }
+
+    if (this.settings.announce && !this._liveRegion) {
+      this._liveRegion = document.createElement("div");
+      this._liveRegion.setAttribute("aria-live", "polite");
+      this._liveRegion.setAttribute("aria-atomic", "true");
+      Object.assign(this._liveRegion.style, VISUALLY_HIDDEN);
+      this.canvas.appendChild(this._liveRegion);
+    } else if (!this.settings.announce && this._liveRegion) {
+      this._liveRegion.remove();
+      this._liveRegion = null;
+    }
+  }
+
+  /**
+   * Returns the accessible name of a tag.
+   * @private
+   * @param {Object} tag - The tag.
+   * @returns {string} The tag's label, falling back to its text.
+   */
+  _getTagLabel(tag) {
+    return tag.label || tag.text || "";
+  }
+
+  /**
+   * Rebuilds the list of links and buttons that mirrors the tags for
+   * assistive technology. The list lives inside the canvas as fallback
+   * content (or visually hidden inside a DOM container), so it is exposed to
+   * screen readers but never painted.
+   * @private
+   */
+  _syncAccessibleMirror() {
+    if (!this._mirror) return;
+    const items = this.tags.map((tag) => {
+      const item = document.createElement("li");
+      const href = getSafeHref(tag.href);
+      const control = document.createElement(href ? "a" : "button");
+      if (href) {
+        control.href = href;
+        if (tag.target) control.target = tag.target;
+        if (tag.rel) control.rel = tag.rel;
+      } else {
+        control.type = "button";
+      }
+      control.id = `${this._a11yId}-tag-${tag.index}`;
+      control.tabIndex = -1;
+      control.dataset.orbityIndex = String(tag.index);
+      control.textContent = this._getTagLabel(tag);
+      item.appendChild(control);
+      return item;
+    });
+    this._mirror.replaceChildren(...items);
+    this._updateActiveDescendant();
+  }
+
+  /**
+   * Points `aria-activedescendant` at the mirror entry of the focused tag.
+   * @private
+   */
+  _updateActiveDescendant() {
+    if (this._mirror && this._focusedIndex !== null) {
+      this.canvas.setAttribute(
+        "aria-activedescendant",
+        `${this._a11yId}-tag-${this._focusedIndex}`
+      );
+    } else {
+      this.canvas.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  /**
+   * Activates a tag when its mirror entry is clicked by assistive technology.
+   * @private
+   * @param {MouseEvent} event - The click event.
+   */
+  _onMirrorClick(event) {
+    const control = event.target.closest("[data-orbity-index]");
+    if (!control) return;
+    const tag = this.tags[Number(control.dataset.orbityIndex)];
+    if (!tag) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const { x = this.center.x, y = this.center.y } = tag._screen;
+    this._activateTag(tag, { x, y }, event);
+  }
+
+  /**
+   * Announces a message through the live region, if enabled.
+   * @private
+   * @param {string} message - The text to announce.
+   */
+  _announce(message) {
+    if (this._liveRegion) this._liveRegion.textContent = message;
+  }
+
+  /**
+   * Updates the index property of each tag to match its position in the tags array.
+   * @private
+   */
+  _reindexTags() {
+    const focused =
+      this._focusedIndex !== null
+        ? this.tags.find((tag) => tag.index === this._focusedIndex)
+        : null;
+    const hovered =
+      this._hoveredIndex !== null
+        ? this.tags.find((tag) => tag.index === this._hoveredIndex)
+        : null;
+    this.tags.forEach((tag, i) => {
+      tag.index = i;
+    });
+    this._hoveredIndex = hovered ? hovered.index : null;
+    this._tagIds = new Map(this.tags.map((tag) => [tag.id, tag]));
+    this._focusedIndex = focused ? focused.index : null;
+    this._focusOrder = null;
+  }
+
+  /**
+   * Builds the payload of a tag event.
+   * @private
+   * @param {Object} tag - The tag.
+   * @param {{x: number, y: number}|null} [pt] - Pointer position relative to the canvas; defaults to the tag's screen position.
+   * @param {Event|null} [originalEvent] - The DOM event that caused the event, if any.
+   * @returns {Object} The tag, its id, the position and the DOM event.
+   */
+  _getTagEventDetail(tag, pt = null, originalEvent = null) {
+    const { x = this.center.x, y = this.center.y } = pt || tag._screen || {};
+    return { tag, id: tag.id, x, y, originalEvent };
+  }
+
+  /**
+   * Registers an event listener. Listeners receive a single event object with
+   * the event `type`, the Orbity `instance` and event-specific fields.
+   * @param {string} event - The event name, e.g. "tagClick" or "rotate".
+   * @param {Function} callback - The callback function.
    */
   on(event, callback) {
-    if (this._events[event]) {
-      this._events[event].push(callback);
+    if (!this._events[event]) {
+      console.error(
+        `Invalid event: ${event}. Must be one of ${EVENTS.join(", ")}.`
+      );
+      return;
+    }
+    if (typeof callback !== "function") {
+      console.error("Invalid event listener: must be a function.");
+      return;
+    }
+    this._events[event].push(callback);
+  }
+
+  /**
+   * Registers an event listener that is removed after its first call.
+   * @param {string} event - The event name.
+   * @param {Function} callback - The callback function.
+   */
+  once(event, callback) {
+    if (typeof callback !== "function") {
+      console.error("Invalid event listener: must be a function.");
+      return;
     }
+    const listener = (payload) => {
+      this.off(event, listener);
+      callback(payload);
+    };
+    listener._callback = callback;
+    this.on(event, listener);
+  }
+
+  /**
+   * Calls every listener registered for an event with an event object. An
+   * error thrown by one listener is logged and does not stop the others.
+   * @private
+   * @param {string} type - The event name.
+   * @param {Object} [detail] - Event-specific fields.
+   * @returns {Object} The event object passed to the listeners.
+   */
+  _emit(type, detail = {}) {
+    const event = { type, instance: this, ...detail };
+    (this._events[type] || []).slice().forEach((cb) => {
+      try {
+        cb(event);
+      } catch (error) {
+        console.error(`Error in ${type} listener:`, error);
+      }
+    });
+    return event;
   }
 
   /**
    * Removes an event listener for Orbity events. If no callback is provided, removes all listeners for the event.
    * @param {string} event - The event name.
-   * @param {Function} [callback] - The callback function to remove.
+   * @param {Function} [callback] - The callback function to remove, as passed to `on` or `once`.
    */
   off(event, callback) {
     if (this._events[event]) {
@@ -1248,7 +3774,7 @@ class Orbity {
         this._events[event] = [];
       } else {
         this._events[event] = this._events[event].filter(
-          (cb) => cb !== callback
+          (cb) => cb !== callback && cb._callback !== callback
         );
       }
     }
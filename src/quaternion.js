@@ -0,0 +1,224 @@
+/* Quaternion math for Orbity's rotation.
+Quaternions are plain `{x, y, z, w}` objects in the cloud's screen axes:
+x to the right, y down and z into the screen, with right-handed angles. */
+
+/**
+ * Creates the identity quaternion, i.e. no rotation.
+ * @returns {{x: number, y: number, z: number, w: number}} The identity quaternion.
+ */
+export function createQuaternion() {
+  return { x: 0, y: 0, z: 0, w: 1 };
+}
+
+/**
+ * Checks that a value is a quaternion with finite, not all zero components.
+ * @param {*} q - The value to check.
+ * @returns {boolean} True if the value can be normalized into a rotation.
+ */
+export function isQuaternion(q) {
+  return (
+    !!q &&
+    ["x", "y", "z", "w"].every((key) => Number.isFinite(q[key])) &&
+    (q.x !== 0 || q.y !== 0 || q.z !== 0 || q.w !== 0)
+  );
+}
+
+/**
+ * Scales a quaternion to unit length.
+ * @param {{x: number, y: number, z: number, w: number}} q - The quaternion.
+ * @returns {{x: number, y: number, z: number, w: number}} A new unit quaternion; the identity if `q` has no length.
+ */
+export function normalizeQuaternion(q) {
+  const length = Math.hypot(q.x, q.y, q.z, q.w);
+  if (!(length > 0)) return createQuaternion();
+  return { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length };
+}
+
+/**
+ * Multiplies two quaternions. The product rotates by `b` first and then by `a`.
+ * @param {{x: number, y: number, z: number, w: number}} a - The rotation applied second.
+ * @param {{x: number, y: number, z: number, w: number}} b - The rotation applied first.
+ * @returns {{x: number, y: number, z: number, w: number}} The product.
+ */
+export function multiplyQuaternions(a, b) {
+  return {
+    x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+    y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+    z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+    w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+  };
+}
+
+/**
+ * Inverts a unit quaternion.
+ * @param {{x: number, y: number, z: number, w: number}} q - The unit quaternion.
+ * @returns {{x: number, y: number, z: number, w: number}} The opposite rotation.
+ */
+export function invertQuaternion(q) {
+  return { x: -q.x, y: -q.y, z: -q.z, w: q.w };
+}
+
+/**
+ * Creates the rotation by an angle around an axis.
+ * @param {{x: number, y: number, z: number}} axis - The axis; it does not need to be unit length.
+ * @param {number} angle - The angle in radians.
+ * @returns {{x: number, y: number, z: number, w: number}} The rotation; the identity if the axis has no length.
+ */
+export function quaternionFromAxisAngle(axis, angle) {
+  const length = Math.hypot(axis.x, axis.y, axis.z);
+  if (!(length > 0) || !angle) return createQuaternion();
+  const sin = Math.sin(angle / 2) / length;
+  return {
+    x: axis.x * sin,
+    y: axis.y * sin,
+    z: axis.z * sin,
+    w: Math.cos(angle / 2),
+  };
+}
+
+/**
+ * Creates a rotation from its rotation vector: the axis scaled by the angle.
+ * @param {{x: number, y: number, z: number}} vector - The rotation vector in radians.
+ * @returns {{x: number, y: number, z: number, w: number}} The rotation.
+ */
+export function quaternionFromRotationVector(vector) {
+  return quaternionFromAxisAngle(
+    vector,
+    Math.hypot(vector.x, vector.y, vector.z)
+  );
+}
+
+/**
+ * Returns the rotation vector of a rotation: its axis scaled by its angle,
+ * taking the short way round.
+ * @param {{x: number, y: number, z: number, w: number}} q - The unit quaternion.
+ * @returns {{x: number, y: number, z: number}} The rotation vector in radians.
+ */
+export function quaternionToRotationVector(q) {
+  const sign = q.w < 0 ? -1 : 1;
+  const sin = Math.hypot(q.x, q.y, q.z);
+  if (!(sin > 0)) return { x: 0, y: 0, z: 0 };
+  const scale = (sign * 2 * Math.atan2(sin, sign * q.w)) / sin;
+  return { x: q.x * scale, y: q.y * scale, z: q.z * scale };
+}
+
+/**
+ * Creates the shortest rotation that turns one direction into another.
+ * @param {{x: number, y: number, z: number}} from - The start direction, unit length.
+ * @param {{x: number, y: number, z: number}} to - The end direction, unit length.
+ * @returns {{x: number, y: number, z: number, w: number}} The rotation.
+ */
+export function quaternionBetween(from, to) {
+  const dot = from.x * to.x + from.y * to.y + from.z * to.z;
+  if (dot < -0.999999) {
+    const axis =
+      Math.abs(from.x) < 0.9
+        ? { x: 0, y: -from.z, z: from.y }
+        : { x: from.z, y: 0, z: -from.x };
+    return quaternionFromAxisAngle(axis, Math.PI);
+  }
+  return normalizeQuaternion({
+    x: from.y * to.z - from.z * to.y,
+    y: from.z * to.x - from.x * to.z,
+    z: from.x * to.y - from.y * to.x,
+    w: 1 + dot,
+  });
+}
+
+/**
+ * Creates the rotation that turns the X, Y and Z axes into a basis.
+ * @param {Array<{x: number, y: number, z: number}>} basis - The rotated X, Y and Z unit axes.
+ * @returns {{x: number, y: number, z: number, w: number}} The rotation.
+ */
+export function quaternionFromBasis([bx, by, bz]) {
+  const trace = bx.x + by.y + bz.z;
+  let q;
+  if (trace > 0) {
+    const s = 2 * Math.sqrt(trace + 1);
+    q = {
+      x: (by.z - bz.y) / s,
+      y: (bz.x - bx.z) / s,
+      z: (bx.y - by.x) / s,
+      w: s / 4,
+    };
+  } else if (bx.x > by.y && bx.x > bz.z) {
+    const s = 2 * Math.sqrt(1 + bx.x - by.y - bz.z);
+    q = {
+      x: s / 4,
+      y: (by.x + bx.y) / s,
+      z: (bz.x + bx.z) / s,
+      w: (by.z - bz.y) / s,
+    };
+  } else if (by.y > bz.z) {
+    const s = 2 * Math.sqrt(1 + by.y - bx.x - bz.z);
+    q = {
+      x: (by.x + bx.y) / s,
+      y: s / 4,
+      z: (bz.y + by.z) / s,
+      w: (bz.x - bx.z) / s,
+    };
+  } else {
+    const s = 2 * Math.sqrt(1 + bz.z - bx.x - by.y);
+    q = {
+      x: (bz.x + bx.z) / s,
+      y: (bz.y + by.z) / s,
+      z: s / 4,
+      w: (bx.y - by.x) / s,
+    };
+  }
+  return normalizeQuaternion(q);
+}
+
+/**
+ * Interpolates between two rotations along the shortest arc.
+ * @param {{x: number, y: number, z: number, w: number}} a - The rotation at `t = 0`, unit length.
+ * @param {{x: number, y: number, z: number, w: number}} b - The rotation at `t = 1`, unit length.
+ * @param {number} t - Position between the rotations; eased values outside 0..1 overshoot.
+ * @returns {{x: number, y: number, z: number, w: number}} The interpolated rotation.
+ */
+export function slerpQuaternions(a, b, t) {
+  let dot = a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w;
+  const sign = dot < 0 ? -1 : 1;
+  dot *= sign;
+  let wa = 1 - t;
+  let wb = t * sign;
+  if (dot < 0.9995) {
+    const angle = Math.acos(dot);
+    const sin = Math.sin(angle);
+    wa = Math.sin((1 - t) * angle) / sin;
+    wb = (Math.sin(t * angle) / sin) * sign;
+  }
+  return normalizeQuaternion({
+    x: a.x * wa + b.x * wb,
+    y: a.y * wa + b.y * wb,
+    z: a.z * wa + b.z * wb,
+    w: a.w * wa + b.w * wb,
+  });
+}
+
+/**
+ * Rotates points in place by a rotation.
+ * @param {Array<{x: number, y: number, z: number}>} points - Points (or tags) to rotate.
+ * @param {{x: number, y: number, z: number, w: number}} q - The unit quaternion.
+ * @returns {Array<{x: number, y: number, z: number}>} The same points.
+ */
+export function rotatePointsByQuaternion(points, q) {
+  const { x, y, z, w } = q;
+  const m00 = 1 - 2 * (y * y + z * z),
+    m01 = 2 * (x * y - z * w),
+    m02 = 2 * (x * z + y * w);
+  const m10 = 2 * (x * y + z * w),
+    m11 = 1 - 2 * (x * x + z * z),
+    m12 = 2 * (y * z - x * w);
+  const m20 = 2 * (x * z - y * w),
+    m21 = 2 * (y * z + x * w),
+    m22 = 1 - 2 * (x * x + y * y);
+
+  points.forEach((point) => {
+    const { x: px, y: py, z: pz } = point;
+    point.x = m00 * px + m01 * py + m02 * pz;
+    point.y = m10 * px + m11 * py + m12 * pz;
+    point.z = m20 * px + m21 * py + m22 * pz;
+  });
+  return points;
+}
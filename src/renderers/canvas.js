@@ -0,0 +1,166 @@
+import { getSvgUrl, revokeSvgUrl } from "../images.js";
+import { drawTagBox, getTagBox, getTagFont, hasTagBox } from "../style.js";
+
+/**
+ * Renders projected tags onto a canvas with the Canvas 2D API.
+ */
+class CanvasRenderer {
+  /**
+   * The kind of context the renderer claims on its canvas.
+   * @type {string}
+   */
+  get contextType() {
+    return "2d";
+  }
+
+  /**
+   * Attaches the renderer to the canvas element.
+   * @param {HTMLCanvasElement} host - The canvas to draw on.
+   * @param {Object} orbity - The Orbity instance that owns the renderer.
+   * @throws {Error} If the canvas cannot give a 2D context.
+   */
+  mount(host, orbity) {
+    const ctx = host.getContext("2d");
+    if (!ctx) throw new Error("The canvas has no 2D context.");
+    this.canvas = host;
+    this.orbity = orbity;
+    this.ctx = ctx;
+  }
+
+  /**
+   * Resizes the canvas backing store and scales the context so drawing
+   * happens in CSS pixels.
+   * @param {number} width - Width in CSS pixels.
+   * @param {number} height - Height in CSS pixels.
+   * @param {number} [pixelRatio=1] - Device pixels per CSS pixel.
+   */
+  resize(width, height, pixelRatio = 1) {
+    this.canvas.width = Math.round(width * pixelRatio);
+    this.canvas.height = Math.round(height * pixelRatio);
+    this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  }
+
+  /**
+   * Draws the projected tags, back to front, and records their hit boxes.
+   * @param {Array<Object>} items - Projected tags sorted from back to front.
+   */
+  render(items) {
+    const { ctx, canvas } = this;
+    const { settings } = this.orbity;
+    const { focusRing } = this.orbity.getTheme();
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    for (const item of items) {
+      const { tag, x, y, fontSize, opacity } = item;
+      try {
+        ctx.globalAlpha = opacity;
+        ctx.filter = item.blur > 0 ? `blur(${item.blur}px)` : "none";
+        if (item.focused) {
+          ctx.save();
+          ctx.strokeStyle = focusRing;
+          ctx.lineWidth = 3;
+          ctx.beginPath();
+          ctx.arc(x, y, fontSize, 0, 2 * Math.PI);
+          ctx.stroke();
+          ctx.restore();
+        }
+        const image = this._loadImage(tag);
+        if (hasTagBox(tag)) {
+          this._drawBox(item, image);
+        } else if (image) {
+          this._drawImage(tag, image, x, y, fontSize);
+        } else if (tag.text) {
+          ctx.fillStyle = item.color;
+          ctx.font = getTagFont(tag, fontSize, settings);
+          const metrics = ctx.measureText(tag.text);
+          tag._screen = {
+            x,
+            y,
+            width: metrics.width,
+            height: fontSize,
+          };
+          ctx.fillText(tag.text, x - metrics.width / 2, y + fontSize / 2);
+        }
+      } catch (error) {
+        console.error("Error drawing tag:", tag, error);
+      }
+    }
+    ctx.filter = "none";
+  }
+
+  /**
+   * Returns the tag's image or SVG once it has loaded, starting the load on
+   * first use and redrawing when it completes.
+   * @private
+   */
+  _loadImage(tag) {
+    if (tag.imageUrl) {
+      if (!tag._img) {
+        tag._img = new window.Image();
+        tag._img.src = tag.imageUrl;
+        tag._img.onload = () => this.orbity._draw();
+      }
+      if (tag._img.complete && tag._img.naturalWidth) return tag._img;
+    }
+    if (tag.svg) {
+      const url = getSvgUrl(tag);
+      if (!tag._svg || tag._svg.src !== url) {
+        tag._svg = new window.Image();
+        tag._svg.src = url;
+        tag._svg.onload = () => this.orbity._draw();
+      }
+      if (tag._svg.complete && tag._svg.naturalWidth) return tag._svg;
+    }
+    return null;
+  }
+
+  /**
+   * Draws a tag's box, laid out at its base font size and scaled to its
+   * projected size, and records the whole box as its hit box.
+   * @private
+   */
+  _drawBox(item, image) {
+    const { ctx } = this;
+    const { tag, x, y, fontSize } = item;
+    const baseSize = tag.fontSize || tag._weightFontSize || 15;
+    const box = getTagBox(
+      tag,
+      baseSize,
+      (text, font) => {
+        ctx.font = font;
+        return ctx.measureText(text).width;
+      },
+      this.orbity.settings
+    );
+    const scale = fontSize / baseSize;
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.scale(scale, scale);
+    drawTagBox(ctx, box, { color: item.color, image });
+    ctx.restore();
+    tag._screen = {
+      x,
+      y,
+      width: box.width * scale,
+      height: box.height * scale,
+    };
+  }
+
+  /**
+   * Draws a square image centered on the tag's position.
+   * @private
+   */
+  _drawImage(tag, image, x, y, size) {
+    this.ctx.drawImage(image, x - size / 2, y - size / 2, size, size);
+    tag._screen = { x, y, width: size, height: size };
+  }
+
+  /**
+   * Clears the canvas.
+   */
+  destroy() {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.orbity.tags.forEach(revokeSvgUrl);
+  }
+}
+
+export default CanvasRenderer;
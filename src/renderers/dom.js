@@ -0,0 +1,216 @@
+import { getSvgUrl, revokeSvgUrl } from "../images.js";
+import { getSafeHref } from "../links.js";
+import {
+  DEFAULT_LINE_HEIGHT,
+  ICON_GAP,
+  STYLE_KEYS,
+  getTagFont,
+  getTagLabel,
+  hasTagBox,
+} from "../style.js";
+
+/**
+ * Renders projected tags as real DOM elements positioned with CSS transforms,
+ * so they can be styled with CSS, selected as text and followed natively.
+ */
+class DOMRenderer {
+  /**
+   * Attaches the renderer to its container element.
+   * @param {HTMLElement} host - The element that will contain the tags.
+   * @param {Object} orbity - The Orbity instance that owns the renderer.
+   * @throws {Error} If the host is a canvas, whose children are never shown.
+   */
+  mount(host, orbity) {
+    if (host.tagName === "CANVAS") {
+      throw new Error("The DOM renderer needs a container, not a <canvas>.");
+    }
+    this.host = host;
+    this.orbity = orbity;
+    this.elements = new Map();
+    this.layer = document.createElement("div");
+    this.layer.className = "orbity-layer";
+    this.layer.setAttribute("aria-hidden", "true");
+    Object.assign(this.layer.style, {
+      position: "absolute",
+      inset: "0",
+      overflow: "hidden",
+    });
+    if (!host.style.position) host.style.position = "relative";
+    host.appendChild(this.layer);
+  }
+
+  /**
+   * Nothing to resize: the layer always fills its container.
+   */
+  resize() {}
+
+  /**
+   * Creates, updates and removes tag elements to match the projected tags.
+   * @param {Array<Object>} items - Projected tags sorted from back to front.
+   */
+  render(items) {
+    const seen = new Set();
+    const theme = this.orbity.getTheme();
+    this.layer.style.color = theme.text;
+    items.forEach((item, order) => {
+      const { tag, x, y, fontSize, opacity } = item;
+      seen.add(tag);
+      const entry = this._getEntry(tag);
+      const { element } = entry;
+      const scale = fontSize / entry.baseSize;
+      const width = entry.width * scale;
+      const height = entry.height * scale;
+
+      element.style.transform = `translate3d(${x - entry.width / 2}px, ${
+        y - entry.height / 2
+      }px, 0) scale(${scale})`;
+      element.style.opacity = String(opacity);
+      element.style.zIndex = String(order);
+      const colored =
+        tag._color || tag.color || tag._weightColor || !theme.tagColors;
+      element.style.color = colored ? item.color : "";
+      element.style.filter = item.blur > 0 ? `blur(${item.blur}px)` : "";
+      element.style.outline = item.focused
+        ? `3px solid ${theme.focusRing}`
+        : "";
+      tag._screen = { x, y, width, height };
+    });
+
+    for (const [tag, entry] of this.elements) {
+      if (!seen.has(tag)) {
+        entry.element.remove();
+        this.elements.delete(tag);
+      }
+    }
+  }
+
+  /**
+   * Returns the tag whose element is the target of a DOM event, if any.
+   * @param {Event} event - A DOM event dispatched inside the container.
+   * @returns {Object|null} The tag, or null.
+   */
+  tagFromEvent(event) {
+    for (const [tag, entry] of this.elements) {
+      if (entry.element.contains(event.target)) return tag;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the element for a tag, (re)building it when its content changed.
+   * @private
+   * @param {Object} tag - The tag.
+   * @returns {{element: HTMLElement, width: number, height: number, baseSize: number}}
+   */
+  _getEntry(tag) {
+    const { settings } = this.orbity;
+    const baseSize = tag.fontSize || tag._weightFontSize || 15;
+    const signature = [
+      tag.href,
+      tag.target,
+      tag.rel,
+      baseSize,
+      settings.customFont,
+      settings.customFontWeight,
+      ...STYLE_KEYS.map((key) => tag[key]),
+    ].join("|");
+    const existing = this.elements.get(tag);
+    if (existing && existing.signature === signature) return existing;
+    if (existing) existing.element.remove();
+
+    const href = getSafeHref(tag.href);
+    const element = document.createElement(href ? "a" : "span");
+    if (href) {
+      element.href = href;
+      if (tag.target) element.target = tag.target;
+      if (tag.rel) element.rel = tag.rel;
+      element.tabIndex = -1;
+    }
+    element.className = "orbity-tag";
+    Object.assign(element.style, {
+      position: "absolute",
+      left: "0",
+      top: "0",
+      whiteSpace: "nowrap",
+      transformOrigin: "center",
+      font: getTagFont(tag, baseSize, settings),
+    });
+    const boxed = hasTagBox(tag);
+    if (boxed) this._applyBoxStyle(element, tag);
+
+    const source = tag.imageUrl || (tag.svg && getSvgUrl(tag));
+    if (source) {
+      const img = document.createElement("img");
+      img.src = source;
+      img.alt = "";
+      img.width = baseSize;
+      img.height = baseSize;
+      img.draggable = false;
+      img.style.display = "block";
+      element.appendChild(img);
+    }
+    const text = getTagLabel(tag);
+    if (boxed && text !== null) {
+      const label = document.createElement("span");
+      label.textContent = text;
+      Object.assign(label.style, {
+        whiteSpace: tag.maxWidth > 0 ? "pre-line" : "pre",
+        maxWidth: tag.maxWidth > 0 ? `${tag.maxWidth}px` : "",
+      });
+      element.appendChild(label);
+    } else if (!source) {
+      element.textContent = tag.text || "";
+    }
+    this.layer.appendChild(element);
+
+    const entry = {
+      element,
+      signature,
+      baseSize,
+      width: element.offsetWidth || baseSize,
+      height: element.offsetHeight || baseSize,
+    };
+    this.elements.set(tag, entry);
+    return entry;
+  }
+
+  /**
+   * Styles a tag element as a box: a centered row of icon and label with
+   * the tag's background, padding, border and text shadow.
+   * @private
+   */
+  _applyBoxStyle(element, tag) {
+    const lineHeight =
+      tag.lineHeight > 0 ? tag.lineHeight : DEFAULT_LINE_HEIGHT;
+    Object.assign(element.style, {
+      display: "inline-flex",
+      alignItems: "center",
+      gap: `${ICON_GAP}em`,
+      lineHeight: String(lineHeight),
+      textAlign: "center",
+      background: tag.background || "",
+      padding: `${tag.padding > 0 ? tag.padding : 0}px`,
+      border:
+        tag.borderWidth > 0
+          ? `${tag.borderWidth}px solid ${tag.borderColor || "currentColor"}`
+          : "",
+      borderRadius: tag.borderRadius >= 0 ? `${tag.borderRadius}px` : "9999px",
+      textShadow: tag.shadowColor
+        ? `${tag.shadowOffsetX || 0}px ${tag.shadowOffsetY || 0}px ${
+            tag.shadowBlur > 0 ? tag.shadowBlur : 0
+          }px ${tag.shadowColor}`
+        : "",
+    });
+  }
+
+  /**
+   * Removes every tag element and the layer itself.
+   */
+  destroy() {
+    this.layer.remove();
+    this.elements.clear();
+    this.orbity.tags.forEach(revokeSvgUrl);
+  }
+}
+
+export default DOMRenderer;
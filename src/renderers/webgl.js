@@ -0,0 +1,587 @@
+import { getSvgUrl, revokeSvgUrl } from "../images.js";
+import { drawTagBox, getTagBox, getTagFont, hasTagBox } from "../style.js";
+
+const MAX_ATLAS_SIZE = 4096;
+const ATLAS_PADDING = 2;
+const RASTER_SCALE = 2;
+const LINE_HEIGHT = 1.3;
+const FLOATS_PER_INSTANCE = 12;
+const FOCUS_RING_KEY = "focus-ring";
+
+const VERTEX_SHADER = `
+attribute vec2 a_corner;
+attribute vec4 a_rect;
+attribute vec4 a_uv;
+attribute vec4 a_color;
+uniform vec2 u_resolution;
+varying vec2 v_uv;
+varying vec4 v_color;
+
+void main() {
+  vec2 position = a_rect.xy + a_corner * a_rect.zw;
+  vec2 clip = position / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_uv = mix(a_uv.xy, a_uv.zw, a_corner);
+  v_color = a_color;
+}
+`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D u_atlas;
+varying vec2 v_uv;
+varying vec4 v_color;
+
+void main() {
+  vec4 texel = texture2D(u_atlas, v_uv);
+  gl_FragColor = texel * vec4(v_color.rgb, 1.0) * v_color.a;
+}
+`;
+
+/**
+ * Creates a WebGL context with instanced drawing, preferring WebGL 2.
+ * @param {HTMLCanvasElement} canvas - The canvas to create the context on.
+ * @returns {{gl: WebGLRenderingContext, instancing: Object}|null} The context and instancing API, or null.
+ */
+function createContext(canvas) {
+  const attributes = { alpha: true, premultipliedAlpha: true, antialias: true };
+  const gl2 = canvas.getContext("webgl2", attributes);
+  if (gl2) {
+    return {
+      gl: gl2,
+      instancing: {
+        divisor: (index, divisor) => gl2.vertexAttribDivisor(index, divisor),
+        draw: (mode, first, count, instances) =>
+          gl2.drawArraysInstanced(mode, first, count, instances),
+      },
+    };
+  }
+  const gl = canvas.getContext("webgl", attributes);
+  const ext = gl && gl.getExtension("ANGLE_instanced_arrays");
+  if (!ext) return null;
+  return {
+    gl,
+    instancing: {
+      divisor: (index, divisor) => ext.vertexAttribDivisorANGLE(index, divisor),
+      draw: (mode, first, count, instances) =>
+        ext.drawArraysInstancedANGLE(mode, first, count, instances),
+    },
+  };
+}
+
+/**
+ * Compiles a shader and throws with the info log on failure.
+ * @param {WebGLRenderingContext} gl - The context to compile on.
+ * @param {number} type - `gl.VERTEX_SHADER` or `gl.FRAGMENT_SHADER`.
+ * @param {string} source - The GLSL source.
+ * @returns {WebGLShader} The compiled shader.
+ */
+function compileShader(gl, type, source) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    throw new Error(gl.getShaderInfoLog(shader));
+  }
+  return shader;
+}
+
+/**
+ * Compiles and links the tag shaders and throws on failure.
+ * @param {WebGLRenderingContext} gl - The context to link on.
+ * @returns {WebGLProgram} The linked program.
+ */
+function createProgram(gl) {
+  const program = gl.createProgram();
+  gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER));
+  gl.attachShader(
+    program,
+    compileShader(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER)
+  );
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(gl.getProgramInfoLog(program));
+  }
+  return program;
+}
+
+/**
+ * Renders projected tags with WebGL. Every tag is rasterized once into a
+ * texture atlas and drawn as an instanced quad, so per-frame work is limited
+ * to filling one instance buffer.
+ */
+class WebGLRenderer {
+  /**
+   * Checks whether WebGL with instanced drawing is available and the tag
+   * shaders link. The check runs on a scratch canvas, because a canvas keeps
+   * the first context it hands out and probing the host would lock it to
+   * WebGL.
+   * @returns {boolean} True if the renderer can be mounted.
+   */
+  static isSupported() {
+    if (typeof document === "undefined") return false;
+    const probe = document.createElement("canvas");
+    if (typeof probe.getContext !== "function") return false;
+    const context = createContext(probe);
+    if (!context) return false;
+    const { gl } = context;
+    try {
+      gl.deleteProgram(createProgram(gl));
+      return true;
+    } catch (error) {
+      return false;
+    } finally {
+      const lose = gl.getExtension("WEBGL_lose_context");
+      if (lose) lose.loseContext();
+    }
+  }
+
+  /**
+   * The kind of context the renderer claims on its canvas.
+   * @type {string}
+   */
+  get contextType() {
+    return "webgl";
+  }
+
+  /**
+   * Attaches the renderer to the canvas element.
+   * @param {HTMLCanvasElement} host - The canvas to draw on.
+   * @param {Object} orbity - The Orbity instance that owns the renderer.
+   * @throws {Error} If the canvas cannot give a WebGL context.
+   */
+  mount(host, orbity) {
+    const context = createContext(host);
+    if (!context) throw new Error("The canvas has no WebGL context.");
+    this.canvas = host;
+    this.orbity = orbity;
+    this.instances = new Float32Array(64 * FLOATS_PER_INSTANCE);
+    this.colors = new Map();
+    this._onContextLost = (event) => event.preventDefault();
+    this._onContextRestored = () => {
+      const restored = createContext(this.canvas);
+      try {
+        if (!restored) throw new Error("The canvas has no WebGL context.");
+        this._setup(restored);
+      } catch (error) {
+        this.broken = true;
+        console.error("The WebGL context could not be restored:", error);
+        return;
+      }
+      this.orbity._draw();
+    };
+    this._setup(context);
+    host.addEventListener("webglcontextlost", this._onContextLost);
+    host.addEventListener("webglcontextrestored", this._onContextRestored);
+  }
+
+  /**
+   * Creates the shaders, buffers and an empty atlas on a context.
+   * @param {{gl: WebGLRenderingContext, instancing: Object}} context - The context from `createContext`.
+   * @private
+   */
+  _setup({ gl, instancing }) {
+    this.broken = false;
+    this.gl = gl;
+    this.instancing = instancing;
+
+    const program = createProgram(gl);
+    this.program = program;
+    gl.useProgram(program);
+    this.uniforms = {
+      resolution: gl.getUniformLocation(program, "u_resolution"),
+      atlas: gl.getUniformLocation(program, "u_atlas"),
+    };
+
+    this.cornerBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      new Float32Array([0, 0, 1, 0, 0, 1, 0, 1, 1, 0, 1, 1]),
+      gl.STATIC_DRAW
+    );
+    const corner = gl.getAttribLocation(program, "a_corner");
+    gl.enableVertexAttribArray(corner);
+    gl.vertexAttribPointer(corner, 2, gl.FLOAT, false, 0, 0);
+
+    this.instanceBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+    const stride = FLOATS_PER_INSTANCE * 4;
+    ["a_rect", "a_uv", "a_color"].forEach((name, i) => {
+      const location = gl.getAttribLocation(program, name);
+      gl.enableVertexAttribArray(location);
+      gl.vertexAttribPointer(location, 4, gl.FLOAT, false, stride, i * 16);
+      this.instancing.divisor(location, 1);
+    });
+
+    this.texture = gl.createTexture();
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    gl.uniform1i(this.uniforms.atlas, 0);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    this.atlasSize = Math.min(
+      MAX_ATLAS_SIZE,
+      gl.getParameter(gl.MAX_TEXTURE_SIZE)
+    );
+    this.atlas = null;
+    this._resetAtlas();
+    const { width, height, pixelRatio } = this.size || {
+      width: this.canvas.width,
+      height: this.canvas.height,
+      pixelRatio: 1,
+    };
+    this.resize(width, height, pixelRatio);
+  }
+
+  /**
+   * Empties the atlas canvas and forgets every packed entry.
+   * @private
+   */
+  _resetAtlas() {
+    if (!this.atlas) {
+      this.atlas = document.createElement("canvas");
+      this.atlas.width = this.atlasSize;
+      this.atlas.height = this.atlasSize;
+      this.atlasCtx = this.atlas.getContext("2d");
+    }
+    this.atlasCtx.clearRect(0, 0, this.atlasSize, this.atlasSize);
+    this.generation = (this.generation || 0) + 1;
+    this.entries = new Map();
+    this.shelf = { x: 0, y: 0, height: 0 };
+    this.atlasDirty = true;
+  }
+
+  /**
+   * Resizes the canvas backing store and the viewport. Instances stay in CSS
+   * pixels; only the viewport uses device pixels.
+   * @param {number} width - Width in CSS pixels.
+   * @param {number} height - Height in CSS pixels.
+   * @param {number} [pixelRatio=1] - Device pixels per CSS pixel.
+   */
+  resize(width, height, pixelRatio = 1) {
+    this.size = { width, height, pixelRatio };
+    this.canvas.width = Math.round(width * pixelRatio);
+    this.canvas.height = Math.round(height * pixelRatio);
+    this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    this.gl.uniform2f(this.uniforms.resolution, width, height);
+  }
+
+  /**
+   * Draws the projected tags as instanced quads and records their hit boxes.
+   * @param {Array<Object>} items - Projected tags sorted from back to front.
+   * @param {boolean} [retry=false] - Set when re-rendering after the atlas overflowed.
+   */
+  render(items, retry = false) {
+    const { gl } = this;
+    if (this.broken || gl.isContextLost()) return;
+    const required = (items.length + 1) * FLOATS_PER_INSTANCE;
+    if (this.instances.length < required) {
+      this.instances = new Float32Array(required * 2);
+    }
+
+    const generation = this.generation;
+    let count = 0;
+    const push = (x, y, width, height, entry, color, alpha) => {
+      const offset = count * FLOATS_PER_INSTANCE;
+      this.instances.set(
+        [
+          x,
+          y,
+          width,
+          height,
+          entry.u0,
+          entry.v0,
+          entry.u1,
+          entry.v1,
+          color[0],
+          color[1],
+          color[2],
+          alpha,
+        ],
+        offset
+      );
+      count++;
+    };
+
+    for (const item of items) {
+      const { tag, x, y, fontSize, opacity } = item;
+      const entry = this._getEntry(tag);
+      if (!entry) continue;
+      const scale = fontSize / entry.size;
+      const width = entry.width * scale;
+      const height = entry.height * scale;
+      if (item.focused) {
+        const ring = this._getRingEntry();
+        push(
+          x - fontSize,
+          y - fontSize,
+          fontSize * 2,
+          fontSize * 2,
+          ring,
+          this._parseColor(this.orbity.getTheme().focusRing),
+          opacity
+        );
+      }
+      const color = entry.tinted ? this._parseColor(item.color) : [1, 1, 1];
+      push(x - width / 2, y - height / 2, width, height, entry, color, opacity);
+      tag._screen = {
+        x,
+        y,
+        width: entry.hitWidth ? entry.hitWidth * scale : width,
+        height: entry.hitHeight
+          ? entry.hitHeight * scale
+          : entry.tinted
+            ? fontSize
+            : height,
+      };
+    }
+
+    if (this.generation !== generation && !retry) {
+      return this.render(items, true);
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    if (this.atlasDirty) {
+      gl.texImage2D(
+        gl.TEXTURE_2D,
+        0,
+        gl.RGBA,
+        gl.RGBA,
+        gl.UNSIGNED_BYTE,
+        this.atlas
+      );
+      this.atlasDirty = false;
+    }
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    if (!count) return;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      this.instances.subarray(0, count * FLOATS_PER_INSTANCE),
+      gl.DYNAMIC_DRAW
+    );
+    this.instancing.draw(gl.TRIANGLES, 0, 6, count);
+  }
+
+  /**
+   * Returns the atlas entry for a tag, rasterizing it on first use. Image
+   * tags return null until their image has loaded.
+   * @private
+   * @param {Object} tag - The tag.
+   * @returns {Object|null} The atlas entry.
+   */
+  _getEntry(tag) {
+    if (hasTagBox(tag)) return this._getBoxEntry(tag);
+    const { settings } = this.orbity;
+    const size = (tag.fontSize || tag._weightFontSize || 15) * RASTER_SCALE;
+    const source = tag.imageUrl || tag.svg;
+    const font = getTagFont(tag, size, settings);
+    const key = source ? `image|${source}|${size}` : `text|${tag.text}|${font}`;
+    if (this.entries.has(key)) return this.entries.get(key);
+
+    if (source) {
+      const image = this._loadImage(tag);
+      if (!image) return null;
+      return this._pack(key, size, size, size, false, (ctx, x, y) =>
+        ctx.drawImage(image, x, y, size, size)
+      );
+    }
+    if (typeof tag.text !== "string") return null;
+    this.atlasCtx.font = font;
+    const width = Math.ceil(this.atlasCtx.measureText(tag.text).width);
+    const height = Math.ceil(size * LINE_HEIGHT);
+    return this._pack(key, size, width, height, true, (ctx, x, y) => {
+      ctx.font = font;
+      ctx.fillStyle = "#fff";
+      ctx.textBaseline = "middle";
+      ctx.fillText(tag.text, x, y + height / 2);
+    });
+  }
+
+  /**
+   * Returns the atlas entry for a tag with a box. Boxes are rasterized in
+   * the tag's own colors rather than tinted, so depth fog does not reach
+   * them; the entry records the box size as its hit box.
+   * @private
+   * @param {Object} tag - The tag.
+   * @returns {Object|null} The atlas entry.
+   */
+  _getBoxEntry(tag) {
+    const baseSize = tag.fontSize || tag._weightFontSize || 15;
+    const box = getTagBox(
+      tag,
+      baseSize,
+      (text, font) => {
+        this.atlasCtx.font = font;
+        return this.atlasCtx.measureText(text).width;
+      },
+      this.orbity.settings
+    );
+    const color = this.orbity._getTagColor(tag);
+    const key = `box|${box.signature}|${color}`;
+    if (this.entries.has(key)) return this.entries.get(key);
+
+    const image = box.icon ? this._loadImage(tag) : null;
+    if (box.icon && !image) return null;
+    // Leave room for descenders and the shadow around the box.
+    const { shadow } = box;
+    const margin =
+      baseSize * (LINE_HEIGHT - 1) +
+      (shadow
+        ? shadow.blur +
+          Math.max(Math.abs(shadow.offsetX), Math.abs(shadow.offsetY))
+        : 0);
+    const width = Math.ceil((box.width + margin * 2) * RASTER_SCALE);
+    const height = Math.ceil((box.height + margin * 2) * RASTER_SCALE);
+    const entry = this._pack(
+      key,
+      baseSize * RASTER_SCALE,
+      width,
+      height,
+      false,
+      (ctx, x, y) => {
+        ctx.translate(x + width / 2, y + height / 2);
+        ctx.scale(RASTER_SCALE, RASTER_SCALE);
+        drawTagBox(ctx, box, { color, image });
+      }
+    );
+    entry.hitWidth = box.width * RASTER_SCALE;
+    entry.hitHeight = box.height * RASTER_SCALE;
+    return entry;
+  }
+
+  /**
+   * Returns the atlas entry for the focus ring.
+   * @private
+   */
+  _getRingEntry() {
+    if (this.entries.has(FOCUS_RING_KEY)) {
+      return this.entries.get(FOCUS_RING_KEY);
+    }
+    const size = 64;
+    return this._pack(FOCUS_RING_KEY, size, size, size, true, (ctx, x, y) => {
+      ctx.strokeStyle = "#fff";
+      ctx.lineWidth = 3 * (size / 32);
+      ctx.beginPath();
+      const radius = size / 2 - ctx.lineWidth;
+      ctx.arc(x + size / 2, y + size / 2, radius, 0, 2 * Math.PI);
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * Reserves space in the atlas with a shelf packer and draws into it. When
+   * the atlas is full it is cleared and refilled on demand.
+   * @private
+   */
+  _pack(key, size, width, height, tinted, draw) {
+    const slotWidth = width + ATLAS_PADDING * 2;
+    const slotHeight = height + ATLAS_PADDING * 2;
+    if (this.shelf.x + slotWidth > this.atlasSize) {
+      this.shelf = {
+        x: 0,
+        y: this.shelf.y + this.shelf.height,
+        height: 0,
+      };
+    }
+    if (this.shelf.y + slotHeight > this.atlasSize) {
+      this._resetAtlas();
+    }
+    const x = this.shelf.x + ATLAS_PADDING;
+    const y = this.shelf.y + ATLAS_PADDING;
+    this.atlasCtx.save();
+    draw(this.atlasCtx, x, y);
+    this.atlasCtx.restore();
+    this.shelf.x += slotWidth;
+    this.shelf.height = Math.max(this.shelf.height, slotHeight);
+    this.atlasDirty = true;
+
+    const entry = {
+      size,
+      width,
+      height,
+      tinted,
+      u0: x / this.atlasSize,
+      v0: y / this.atlasSize,
+      u1: (x + width) / this.atlasSize,
+      v1: (y + height) / this.atlasSize,
+    };
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Loads a tag's image or SVG, returning it once it is ready to draw.
+   * @private
+   */
+  _loadImage(tag) {
+    if (tag.imageUrl) {
+      if (!tag._img) {
+        tag._img = new window.Image();
+        tag._img.src = tag.imageUrl;
+        tag._img.onload = () => this.orbity._draw();
+      }
+      return tag._img.complete && tag._img.naturalWidth ? tag._img : null;
+    }
+    const url = getSvgUrl(tag);
+    if (!tag._svg || tag._svg.src !== url) {
+      tag._svg = new window.Image();
+      tag._svg.src = url;
+      tag._svg.onload = () => this.orbity._draw();
+    }
+    return tag._svg.complete && tag._svg.naturalWidth ? tag._svg : null;
+  }
+
+  /**
+   * Converts any CSS color to normalized RGB components.
+   * @private
+   * @param {string} color - A CSS color.
+   * @returns {Array<number>} Red, green and blue between 0 and 1.
+   */
+  _parseColor(color) {
+    if (this.colors.has(color)) return this.colors.get(color);
+    const ctx = this.atlasCtx;
+    ctx.fillStyle = "#000";
+    ctx.fillStyle = color;
+    const normalized = ctx.fillStyle;
+    let rgb = [1, 1, 1];
+    if (normalized.startsWith("#")) {
+      rgb = [1, 3, 5].map(
+        (i) => parseInt(normalized.slice(i, i + 2), 16) / 255
+      );
+    } else {
+      const match = normalized.match(/[\d.]+/g);
+      if (match) rgb = match.slice(0, 3).map((value) => Number(value) / 255);
+    }
+    this.colors.set(color, rgb);
+    return rgb;
+  }
+
+  /**
+   * Releases GPU resources and event listeners.
+   */
+  destroy() {
+    const { gl } = this;
+    this.canvas.removeEventListener("webglcontextlost", this._onContextLost);
+    this.canvas.removeEventListener(
+      "webglcontextrestored",
+      this._onContextRestored
+    );
+    gl.deleteBuffer(this.cornerBuffer);
+    gl.deleteBuffer(this.instanceBuffer);
+    gl.deleteTexture(this.texture);
+    gl.deleteProgram(this.program);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    this.orbity.tags.forEach(revokeSvgUrl);
+  }
+}
+
+export default WebGLRenderer;
@@ -0,0 +1,64 @@
+/* Snapshot schema helpers for Orbity.
+A snapshot is a plain JSON object holding a cloud's tags, settings and
+motion; these helpers check its version and move it in and out of URLs. */
+
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Encodes a snapshot as a URL-safe base64 string.
+ * @param {Object} snapshot - The snapshot, e.g. from `Orbity#toJSON`.
+ * @returns {string} The encoded snapshot.
+ */
+export function encodeSnapshot(snapshot) {
+  const bytes = new TextEncoder().encode(JSON.stringify(snapshot));
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Decodes a snapshot encoded with `encodeSnapshot`.
+ * @param {string} encoded - The encoded snapshot.
+ * @returns {Object|null} The snapshot, or null if the string is not a valid snapshot.
+ */
+export function decodeSnapshot(encoded) {
+  try {
+    const base64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(base64 + "===".slice((base64.length + 3) % 4));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    console.error("Invalid snapshot string:", error);
+    return null;
+  }
+}
+
+/**
+ * Checks a snapshot, decoding it first when it is a string.
+ * @param {Object|string} snapshot - The snapshot or its encoded string.
+ * @returns {Object|null} The snapshot, or null if it cannot be restored.
+ */
+export function readSnapshot(snapshot) {
+  const data =
+    typeof snapshot === "string" ? decodeSnapshot(snapshot) : snapshot;
+  if (!data || typeof data !== "object") {
+    console.error("Invalid snapshot: must be an object or encoded string.");
+    return null;
+  }
+  if (data.version !== SNAPSHOT_VERSION) {
+    console.error(
+      `Unsupported snapshot version: ${data.version} (expected ${SNAPSHOT_VERSION}).`
+    );
+    return null;
+  }
+  if (!Array.isArray(data.tags)) {
+    console.error("Invalid snapshot: 'tags' must be an array.");
+    return null;
+  }
+  return data;
+}
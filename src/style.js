@@ -0,0 +1,247 @@
+/* Tag box layout for Orbity.
+Lays out styled tags (font, icon, wrapped lines, padding and border) and
+draws them onto any 2D context. Text is measured through a callback, so the
+SVG export can use the same layout without a canvas. */
+
+export const FONT_STYLES = ["normal", "italic", "oblique"];
+
+export const DEFAULT_LINE_HEIGHT = 1.2;
+
+export const ICON_GAP = 0.3;
+
+export const STYLE_KEYS = [
+  "text",
+  "imageUrl",
+  "svg",
+  "showText",
+  "fontFamily",
+  "fontWeight",
+  "fontStyle",
+  "background",
+  "padding",
+  "borderColor",
+  "borderWidth",
+  "borderRadius",
+  "shadowColor",
+  "shadowBlur",
+  "shadowOffsetX",
+  "shadowOffsetY",
+  "maxWidth",
+  "lineHeight",
+];
+
+/**
+ * Builds the CSS font of a tag, falling back to the cloud's font.
+ * @param {Object} tag - The tag.
+ * @param {number} size - Font size in pixels.
+ * @param {Object} [defaults] - The cloud's `customFont` and `customFontWeight`.
+ * @returns {string} A CSS font shorthand.
+ */
+export function getTagFont(tag, size, defaults = {}) {
+  const style = tag.fontStyle || "normal";
+  const weight = tag.fontWeight || defaults.customFontWeight || "normal";
+  const family = tag.fontFamily || defaults.customFont || "sans-serif";
+  return `${style} ${weight} ${size}px ${family}`;
+}
+
+/**
+ * Splits text into lines at line breaks and, with a `maxWidth`, between
+ * words. Words wider than `maxWidth` keep a line of their own.
+ * @param {string} text - The text.
+ * @param {number} [maxWidth] - Maximum line width in pixels; 0 or undefined only breaks at line breaks.
+ * @param {Function} measure - `measure(line)` returning the width of a line in pixels.
+ * @returns {Array<string>} The lines.
+ */
+export function wrapText(text, maxWidth, measure) {
+  return String(text)
+    .split("\n")
+    .flatMap((paragraph) => {
+      if (!(maxWidth > 0)) return [paragraph];
+      const lines = [];
+      let line = "";
+      paragraph.split(" ").forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && measure(candidate) > maxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      });
+      lines.push(line);
+      return lines;
+    });
+}
+
+/**
+ * Returns the text a tag draws. Image and SVG tags only draw their text,
+ * next to the icon, when `showText` is set.
+ * @param {Object} tag - The tag.
+ * @returns {string|null} The text, or null if the tag draws none.
+ */
+export function getTagLabel(tag) {
+  if (typeof tag.text !== "string") return null;
+  if ((tag.imageUrl || tag.svg) && !(tag.showText && tag.text)) return null;
+  return tag.text;
+}
+
+/**
+ * Checks whether a tag needs a box: a background, border, text shadow,
+ * maximum width, more than one line, or an icon next to its label. Other
+ * tags draw as a single line of text or a single image.
+ * @param {Object} tag - The tag.
+ * @returns {boolean} True if the tag has a box.
+ */
+export function hasTagBox(tag) {
+  const text = getTagLabel(tag);
+  return !!(
+    tag.background ||
+    tag.borderWidth > 0 ||
+    tag.shadowColor ||
+    tag.maxWidth > 0 ||
+    (text !== null && (text.includes("\n") || tag.imageUrl || tag.svg))
+  );
+}
+
+/**
+ * Lays out a tag at a font size. Lengths in the tag (`padding`,
+ * `borderWidth`, `borderRadius`, `maxWidth` and the shadow) are pixels at
+ * that size; everything is placed around the box's center.
+ * @param {Object} tag - The tag.
+ * @param {number} size - Font size in pixels; also the icon size.
+ * @param {Function} measure - `measure(text, font)` returning the width of the text in pixels.
+ * @param {Object} [defaults] - The cloud's `customFont` and `customFontWeight`.
+ * @returns {Object} The box: `width` and `height` including padding and border, `font`, `lines` as `{text, x, y}` with x at the line's center and y at its baseline, `icon` as `{x, y, size}` or null, and the `background`, `borderColor`, `borderWidth`, `radius` and `shadow` to draw.
+ */
+export function layoutTagBox(tag, size, measure, defaults = {}) {
+  const font = getTagFont(tag, size, defaults);
+  const text = getTagLabel(tag);
+  const hasIcon = !!(tag.imageUrl || tag.svg);
+  const iconSize = hasIcon ? size : 0;
+  const gap = hasIcon && text ? size * ICON_GAP : 0;
+  const padding = tag.padding > 0 ? tag.padding : 0;
+  const borderWidth = tag.borderWidth > 0 ? tag.borderWidth : 0;
+  const lineHeight =
+    size * (tag.lineHeight > 0 ? tag.lineHeight : DEFAULT_LINE_HEIGHT);
+
+  const lines =
+    text === null
+      ? []
+      : wrapText(text, tag.maxWidth, (line) => measure(line, font));
+  const widths = lines.map((line) => measure(line, font));
+  const textWidth = Math.max(0, ...widths);
+  const textHeight = lines.length ? size + (lines.length - 1) * lineHeight : 0;
+  const inset = padding + borderWidth;
+  const width = iconSize + gap + textWidth + inset * 2;
+  const height = Math.max(iconSize, textHeight) + inset * 2;
+  const left = -width / 2 + inset;
+  const textCenter = left + iconSize + gap + textWidth / 2;
+  const textTop = -textHeight / 2;
+
+  return {
+    width,
+    height,
+    font,
+    lines: lines.map((line, i) => ({
+      text: line,
+      x: textCenter,
+      y: textTop + i * lineHeight + size,
+    })),
+    icon: hasIcon ? { x: left, y: -iconSize / 2, size: iconSize } : null,
+    background: tag.background || null,
+    borderColor: tag.borderColor || null,
+    borderWidth,
+    radius:
+      tag.borderRadius >= 0
+        ? Math.min(tag.borderRadius, width / 2, height / 2)
+        : Math.min(width, height) / 2,
+    shadow: tag.shadowColor
+      ? {
+          color: tag.shadowColor,
+          blur: tag.shadowBlur > 0 ? tag.shadowBlur : 0,
+          offsetX: tag.shadowOffsetX || 0,
+          offsetY: tag.shadowOffsetY || 0,
+        }
+      : null,
+  };
+}
+
+/**
+ * Returns a tag's box at its base font size, laying it out again only when
+ * its content or style changed. The box is cached on the tag.
+ * @param {Object} tag - The tag.
+ * @param {number} size - The tag's base font size in pixels.
+ * @param {Function} measure - `measure(text, font)` returning the width of the text in pixels.
+ * @param {Object} [defaults] - The cloud's `customFont` and `customFontWeight`.
+ * @returns {Object} The box, as returned by `layoutTagBox`, with a `signature` of what it was laid out from.
+ */
+export function getTagBox(tag, size, measure, defaults = {}) {
+  const signature = JSON.stringify([
+    ...STYLE_KEYS.map((key) => tag[key]),
+    size,
+    defaults.customFont,
+    defaults.customFontWeight,
+  ]);
+  if (!tag._box || tag._box.signature !== signature) {
+    tag._box = { ...layoutTagBox(tag, size, measure, defaults), signature };
+  }
+  return tag._box;
+}
+
+/**
+ * Draws a tag box centered on the origin of a 2D context: background and
+ * border, then the icon, then the lines of text with their shadow.
+ * @param {CanvasRenderingContext2D} ctx - The context, translated and scaled to the tag.
+ * @param {Object} box - The box from `layoutTagBox`.
+ * @param {Object} [options] - Drawing options.
+ * @param {string} [options.color="#fff"] - Text color, also the border color when the tag sets none.
+ * @param {CanvasImageSource} [options.image] - The loaded icon, if any.
+ */
+export function drawTagBox(ctx, box, { color = "#fff", image } = {}) {
+  const { width, height, radius, borderWidth } = box;
+  ctx.save();
+  if (box.background || borderWidth) {
+    const inset = borderWidth / 2;
+    const r = Math.max(radius - inset, 0);
+    const x = -width / 2 + inset;
+    const y = -height / 2 + inset;
+    const w = width - borderWidth;
+    const h = height - borderWidth;
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+    if (box.background) {
+      ctx.fillStyle = box.background;
+      ctx.fill();
+    }
+    if (borderWidth) {
+      ctx.lineWidth = borderWidth;
+      ctx.strokeStyle = box.borderColor || color;
+      ctx.stroke();
+    }
+  }
+  if (image && box.icon) {
+    const { x, y, size } = box.icon;
+    ctx.drawImage(image, x, y, size, size);
+  }
+  if (box.lines.length) {
+    ctx.font = box.font;
+    ctx.fillStyle = color;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "alphabetic";
+    if (box.shadow) {
+      // Shadows ignore the transform, so scale them by hand.
+      const scale = ctx.getTransform ? Math.abs(ctx.getTransform().a) : 1;
+      ctx.shadowColor = box.shadow.color;
+      ctx.shadowBlur = box.shadow.blur * scale;
+      ctx.shadowOffsetX = box.shadow.offsetX * scale;
+      ctx.shadowOffsetY = box.shadow.offsetY * scale;
+    }
+    box.lines.forEach((line) => ctx.fillText(line.text, line.x, line.y));
+  }
+  ctx.restore();
+}
@@ -0,0 +1,373 @@
+/* Static SVG export for Orbity.
+Builds a standalone SVG string from the same projection the renderers use,
+without touching the DOM, so it also runs in Node. */
+
+import {
+  computeLayout,
+  getDepthEffects,
+  projectPoint,
+  rotatePoints,
+} from "./layout.js";
+import { getSafeHref, getSafeImageUrl } from "./links.js";
+import { hasTagBox, layoutTagBox } from "./style.js";
+import { getThemedDepthEffects, resolveTheme } from "./theme.js";
+import { mixColors, scaleWeights } from "./weights.js";
+
+// Average glyph width in ems, used to lay out boxes without measuring text.
+const CHARACTER_WIDTH = 0.55;
+
+// Elements that run script or embed HTML, and animations that rewrite links.
+const UNSAFE_ELEMENTS =
+  /<(script|foreignObject)\b(?:[^>]*?\/>|[^>]*>[\s\S]*?<\/\1\s*>)|<(set|animate)\b(?=[^>]*attributeName\s*=\s*["']?(?:xlink:)?href\b)(?:[^>]*?\/>|[^>]*>[\s\S]*?<\/\2\s*>)/gi;
+const UNSAFE_TAGS = /<\/?(?:script|foreignObject)\b[^>]*>/gi;
+const START_TAG = /<([a-z][\w:.-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/gi;
+const ATTRIBUTE =
+  /(\s+)([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+/**
+ * Escapes text for use in SVG content and attribute values.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Rounds a number to two decimals to keep the markup compact.
+ * @param {number} value - The number to round.
+ * @returns {number} The rounded number.
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Decodes the character references an attribute value may hide a URL
+ * scheme behind, e.g. `&#106;avascript:`.
+ * @param {string} value - The raw attribute value.
+ * @returns {string} The decoded value.
+ */
+function decodeEntities(value) {
+  const fromCode = (code) =>
+    code <= 0x10ffff ? String.fromCodePoint(code) : "";
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => fromCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (match, decimal) => fromCode(Number(decimal)))
+    .replace(/&colon;/gi, ":")
+    .replace(/&(?:tab|newline);/gi, "");
+}
+
+/**
+ * Strips what could run script from a tag's SVG markup before it is
+ * inlined: script and foreignObject elements, animations of links, event
+ * handler attributes, and links that `getSafeHref` rejects.
+ * @param {string} markup - The tag's SVG markup.
+ * @returns {string} The cleaned markup.
+ */
+function sanitizeSVG(markup) {
+  let source = markup;
+  let previous;
+  do {
+    previous = source;
+    source = source.replace(UNSAFE_ELEMENTS, "");
+  } while (source !== previous);
+  return source
+    .replace(UNSAFE_TAGS, "")
+    .replace(START_TAG, (match, name, attributes) => {
+      const kept = attributes.replace(
+        ATTRIBUTE,
+        (attribute, space, attributeName, double, single, bare) => {
+          const lower = attributeName.toLowerCase();
+          if (lower.startsWith("on")) return "";
+          if (lower === "href" || lower.endsWith(":href")) {
+            const value = decodeEntities(double || single || bare || "");
+            return getSafeHref(value) ? attribute : "";
+          }
+          return attribute;
+        }
+      );
+      return `<${name}${kept}>`;
+    });
+}
+
+/**
+ * Positions an inline SVG document inside the export by rewriting the
+ * attributes of its root element. The markup is cleaned with `sanitizeSVG`
+ * first, since the export may be opened as a document of its own.
+ * @param {string} markup - The tag's SVG markup.
+ * @param {number} x - Left edge in pixels.
+ * @param {number} y - Top edge in pixels.
+ * @param {number} size - Width and height in pixels.
+ * @returns {string} The nested SVG element.
+ */
+function embedSVG(markup, x, y, size) {
+  const source = sanitizeSVG(markup)
+    .replace(/<\?xml[^>]*\?>/gi, "")
+    .replace(/<!DOCTYPE[^>]*>/gi, "")
+    .trim();
+  return source.replace(/<svg\b([^>]*)>/i, (match, attributes) => {
+    const width = /\swidth="([\d.]+)(?:px)?"/i.exec(attributes);
+    const height = /\sheight="([\d.]+)(?:px)?"/i.exec(attributes);
+    let rest = attributes.replace(/\s(?:x|y|width|height)="[^"]*"/gi, "");
+    if (!/\sviewBox=/i.test(rest) && width && height) {
+      rest += ` viewBox="0 0 ${width[1]} ${height[1]}"`;
+    }
+    return `<svg${rest} x="${round(x)}" y="${round(y)}" width="${round(
+      size
+    )}" height="${round(size)}">`;
+  });
+}
+
+/**
+ * Builds the font attributes of a text element from the tag's font,
+ * falling back to the export's.
+ * @param {Object} tag - The tag.
+ * @param {string} fontFamily - Default font family.
+ * @param {string} fontWeight - Default font weight.
+ * @returns {string} The attributes, with a leading space.
+ */
+function fontAttributes(tag, fontFamily, fontWeight) {
+  const style = tag.fontStyle
+    ? ` font-style="${escapeXML(tag.fontStyle)}"`
+    : "";
+  return ` font-family="${escapeXML(
+    tag.fontFamily || fontFamily
+  )}" font-weight="${escapeXML(tag.fontWeight || fontWeight)}"${style}`;
+}
+
+/**
+ * Renders a tag's box at its base font size inside a group that moves and
+ * scales it into place: background and border, icon, then the lines of text.
+ * @param {Object} tag - The tag.
+ * @param {Object} box - The box from `layoutTagBox`.
+ * @param {Object} options - Placement and paint.
+ * @returns {string} The group element.
+ */
+function renderBox(tag, box, { x, y, scale, color, opacity, font, filter }) {
+  const parts = [];
+  if (box.background || box.borderWidth) {
+    const inset = box.borderWidth / 2;
+    const stroke = box.borderWidth
+      ? ` stroke="${escapeXML(box.borderColor || color)}" stroke-width="${round(
+          box.borderWidth
+        )}"`
+      : "";
+    parts.push(
+      `<rect x="${round(-box.width / 2 + inset)}" y="${round(
+        -box.height / 2 + inset
+      )}" width="${round(box.width - box.borderWidth)}" height="${round(
+        box.height - box.borderWidth
+      )}" rx="${round(Math.max(box.radius - inset, 0))}" fill="${escapeXML(
+        box.background || "none"
+      )}"${stroke}/>`
+    );
+  }
+  if (box.icon) {
+    const { x: left, y: top, size } = box.icon;
+    const imageUrl = getSafeImageUrl(tag.imageUrl);
+    if (imageUrl) {
+      parts.push(
+        `<image xlink:href="${escapeXML(imageUrl)}" x="${round(
+          left
+        )}" y="${round(top)}" width="${round(size)}" height="${round(size)}"/>`
+      );
+    } else if (!tag.imageUrl) {
+      parts.push(embedSVG(tag.svg, left, top, size));
+    }
+  }
+  if (box.lines.length) {
+    const lines = box.lines.map(
+      (line) =>
+        `<tspan x="${round(line.x)}" y="${round(line.y)}">${escapeXML(
+          line.text
+        )}</tspan>`
+    );
+    parts.push(
+      `<text text-anchor="middle"${font} font-size="${round(
+        box.size
+      )}" fill="${escapeXML(color)}"${
+        filter ? ` filter="url(#${filter})"` : ""
+      }>${lines.join("")}</text>`
+    );
+  }
+  return `<g transform="translate(${round(x)} ${round(y)}) scale(${round(
+    scale
+  )})" opacity="${round(opacity)}">${parts.join("")}</g>`;
+}
+
+/**
+ * Renders tags to a standalone SVG string. Tags that already carry `x`, `y`
+ * and `z` coordinates (such as `Orbity#tags`) are exported as they are;
+ * otherwise they are laid out with `computeLayout` and optionally rotated.
+ * @param {Array<Object>} tags - Tags to export.
+ * @param {Object} options - Export options.
+ * @param {number} options.width - Width of the SVG in pixels.
+ * @param {number} options.height - Height of the SVG in pixels.
+ * @param {string} [options.shape] - Shape used when the tags have no coordinates.
+ * @param {number} [options.radius] - Radius used when the tags have no coordinates.
+ * @param {{x: number, y: number}} [options.rotation] - Rotation applied after the layout, in radians.
+ * @param {number} [options.zoom=1] - Zoom factor around the center of the SVG.
+ * @param {string} [options.projection="perspective"] - "perspective" or "orthographic".
+ * @param {number} [options.fov=40] - Field of view in degrees; with `radius`, sets how deep the perspective looks.
+ * @param {number} [options.cameraDistance] - Camera distance in pixels; overrides `fov`.
+ * @param {Object} [options.depthEffects] - Depth effects, as for `getDepthEffects`, plus a hex `fogColor` that `fog` tints text towards.
+ * @param {string|Object} [options.theme="auto"] - Theme, as for the `theme` option of Orbity; "auto" resolves to "dark" without a browser.
+ * @param {string} [options.customFont="sans-serif"] - Font family for text tags.
+ * @param {string} [options.customFontWeight="normal"] - Font weight for text tags.
+ * @param {number} [options.minFontSize=12] - Font size of the lightest weighted tag.
+ * @param {number} [options.maxFontSize=32] - Font size of the heaviest weighted tag.
+ * @param {string} [options.weightScale="linear"] - Weight scaling: "linear", "log" or "sqrt".
+ * @param {Array<string>} [options.colorRamp] - Hex colors that weighted tags without a `color` are tinted along.
+ * @param {string} [options.background] - Background color; transparent when omitted.
+ * @param {string} [options.title] - Accessible title of the SVG.
+ * @returns {string} The SVG document.
+ */
+export function renderSVG(tags, options) {
+  const {
+    width,
+    height,
+    customFont = "sans-serif",
+    customFontWeight = "normal",
+    background,
+    title,
+  } = options;
+  const positioned = tags.every(
+    (tag) =>
+      typeof tag.x === "number" &&
+      typeof tag.y === "number" &&
+      typeof tag.z === "number"
+  );
+  let points = tags;
+  if (!positioned) {
+    points = computeLayout(tags, options);
+    if (options.rotation) {
+      rotatePoints(points, options.rotation.x || 0, options.rotation.y || 0);
+    }
+  }
+
+  const viewport = { width, height, zoom: options.zoom };
+  const camera = {
+    projection: options.projection,
+    fov: options.fov,
+    distance: options.cameraDistance,
+    radius: options.radius,
+  };
+  const theme = resolveTheme(options.theme);
+  const depthEffects = getThemedDepthEffects(options.depthEffects || {}, theme);
+  const weights = scaleWeights(tags, options);
+  const items = tags
+    .map((tag, i) => ({ tag, point: points[i], weight: weights[i] }))
+    .filter(
+      ({ tag }) => typeof tag.text === "string" || tag.imageUrl || tag.svg
+    )
+    .sort((a, b) => b.point.z - a.point.z);
+
+  const blurs = new Map();
+  const shadows = new Map();
+  const measure = (text, font) =>
+    text.length * parseFloat(/([\d.]+)px/.exec(font)[1]) * CHARACTER_WIDTH;
+  const elements = items.map(({ tag, point, weight }) => {
+    const effects = getDepthEffects(point, camera, depthEffects);
+    if (effects.hidden) return "";
+    const { x, y, scale } = projectPoint(point, viewport, camera);
+    const { opacity } = effects;
+    const baseSize = tag.fontSize || weight.fontSize || 15;
+    const size = baseSize * scale * effects.scale;
+    const color = mixColors(
+      (theme.tagColors && (tag.color || weight.color)) || theme.text,
+      depthEffects.fogColor,
+      effects.fog
+    );
+    const font = fontAttributes(tag, customFont, customFontWeight);
+    let element;
+    if (hasTagBox(tag)) {
+      const box = layoutTagBox(tag, baseSize, measure, {
+        customFont,
+        customFontWeight,
+      });
+      let filter = null;
+      if (box.shadow) {
+        const key = JSON.stringify(box.shadow);
+        if (!shadows.has(key)) {
+          shadows.set(key, {
+            id: `orbity-shadow-${shadows.size}`,
+            ...box.shadow,
+          });
+        }
+        filter = shadows.get(key).id;
+      }
+      element = renderBox(
+        tag,
+        { ...box, size: baseSize },
+        { x, y, scale: size / baseSize, color, opacity, font, filter }
+      );
+    } else if (tag.imageUrl) {
+      const imageUrl = getSafeImageUrl(tag.imageUrl);
+      if (!imageUrl) return "";
+      element = `<image xlink:href="${escapeXML(imageUrl)}" x="${round(
+        x - size / 2
+      )}" y="${round(y - size / 2)}" width="${round(size)}" height="${round(
+        size
+      )}" opacity="${round(opacity)}"/>`;
+    } else if (tag.svg) {
+      element = `<g opacity="${round(opacity)}">${embedSVG(
+        tag.svg,
+        x - size / 2,
+        y - size / 2,
+        size
+      )}</g>`;
+    } else {
+      element = `<text x="${round(x)}" y="${round(
+        y + size / 2
+      )}" text-anchor="middle"${font} font-size="${round(
+        size
+      )}" fill="${escapeXML(color)}" opacity="${round(opacity)}">${escapeXML(
+        tag.text
+      )}</text>`;
+    }
+    const href = getSafeHref(tag.href);
+    if (href) {
+      const target = tag.target ? ` target="${escapeXML(tag.target)}"` : "";
+      element = `<a xlink:href="${escapeXML(href)}"${target}>${element}</a>`;
+    }
+    const blur = Math.round(effects.blur * 2) / 2;
+    if (blur > 0) {
+      if (!blurs.has(blur)) blurs.set(blur, `orbity-blur-${blurs.size}`);
+      element = `<g filter="url(#${blurs.get(blur)})">${element}</g>`;
+    }
+    return element;
+  });
+  const filters = [
+    ...[...blurs].map(
+      ([blur, id]) =>
+        `<filter id="${id}"><feGaussianBlur stdDeviation="${blur}"/></filter>`
+    ),
+    ...[...shadows.values()].map(
+      (shadow) =>
+        `<filter id="${shadow.id}" x="-50%" y="-50%" width="200%" height="200%"><feDropShadow dx="${round(
+          shadow.offsetX
+        )}" dy="${round(shadow.offsetY)}" stdDeviation="${round(
+          shadow.blur / 2
+        )}" flood-color="${escapeXML(shadow.color)}"/></filter>`
+    ),
+  ];
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"${
+      title ? ' role="img"' : ""
+    }>`,
+    title ? `<title>${escapeXML(title)}</title>` : "",
+    background
+      ? `<rect width="100%" height="100%" fill="${escapeXML(background)}"/>`
+      : "",
+    filters.length ? `<defs>${filters.join("")}</defs>` : "",
+    ...elements,
+    "</svg>",
+  ].join("");
+}
@@ -0,0 +1,102 @@
+/* Themes for Orbity.
+A theme holds the colors the cloud uses where tags set none (text, hover and
+focus ring), the color depth fog fades towards, and depth effects that suit
+it. Resolving a theme is pure, so the SVG export can use it without a DOM. */
+
+import { DEFAULT_DEPTH_EFFECTS } from "./layout.js";
+
+export const THEME_NAMES = ["auto", "light", "dark", "high-contrast"];
+
+export const THEMES = {
+  dark: {
+    text: "#ffffff",
+    hover: "#ffff00",
+    focusRing: "#ffc845",
+    fogColor: "#000000",
+    tagColors: true,
+    depthEffects: {},
+  },
+  light: {
+    text: "#1f2937",
+    hover: "#c2410c",
+    focusRing: "#2563eb",
+    fogColor: "#ffffff",
+    tagColors: true,
+    depthEffects: {},
+  },
+  // System colors follow the user's forced palette, and tags keep full
+  // contrast by dropping their own colors and most of the depth fade.
+  "high-contrast": {
+    text: "CanvasText",
+    hover: "LinkText",
+    focusRing: "Highlight",
+    fogColor: null,
+    tagColors: false,
+    depthEffects: { minOpacity: 0.6, fog: 0, blur: 0 },
+  },
+};
+
+/** CSS custom properties that override a theme's colors. */
+export const THEME_PROPERTIES = {
+  text: "--orbity-text",
+  hover: "--orbity-hover",
+  focusRing: "--orbity-focus-ring",
+  fogColor: "--orbity-fog-color",
+};
+
+const THEME_FIELDS = ["text", "hover", "focusRing", "fogColor", "tagColors"];
+
+/**
+ * Applies a theme to depth effects: the theme's depth effects fill in the
+ * fields the effects leave out, and its fog color fills in when they set none.
+ * @param {Object} depthEffects - The depth effects that were set.
+ * @param {Object} theme - A resolved theme.
+ * @returns {Object} The complete depth effects to draw with.
+ */
+export function getThemedDepthEffects(depthEffects, theme) {
+  return {
+    ...DEFAULT_DEPTH_EFFECTS,
+    ...theme.depthEffects,
+    ...depthEffects,
+    fogColor: depthEffects.fogColor || theme.fogColor,
+  };
+}
+
+/**
+ * Resolves a theme name or object into a complete theme. "auto" picks
+ * "high-contrast" under forced colors, "light" for a light color scheme and
+ * "dark" otherwise. Colors from CSS custom properties override the named
+ * theme, and fields of a theme object override both.
+ * @param {string|Object} [theme="auto"] - A theme name, or an object with an optional `name` and fields to override.
+ * @param {Object} [environment] - What the page prefers.
+ * @param {string} [environment.colorScheme="dark"] - "light" or "dark".
+ * @param {boolean} [environment.forcedColors=false] - Whether forced colors are active.
+ * @param {Object} [environment.properties] - Colors read from the `THEME_PROPERTIES` custom properties.
+ * @returns {Object} The theme: `name`, `text`, `hover`, `focusRing`, `fogColor`, `tagColors` and `depthEffects`.
+ */
+export function resolveTheme(theme = "auto", environment = {}) {
+  const {
+    colorScheme = "dark",
+    forcedColors = false,
+    properties = {},
+  } = environment;
+  const options = typeof theme === "string" ? { name: theme } : theme || {};
+  let name = options.name || "auto";
+  if (name === "auto") {
+    if (forcedColors) name = "high-contrast";
+    else name = colorScheme === "light" ? "light" : "dark";
+  }
+  const preset = THEMES[name] || THEMES.dark;
+  const resolved = {
+    name: THEMES[name] ? name : "dark",
+    ...preset,
+    depthEffects: { ...preset.depthEffects, ...options.depthEffects },
+  };
+  Object.keys(THEME_PROPERTIES).forEach((key) => {
+    if (properties[key]) resolved[key] = properties[key];
+  });
+  THEME_FIELDS.forEach((key) => {
+    if (options[key] !== undefined) resolved[key] = options[key];
+  });
+  return resolved;
+}
@@ -0,0 +1,110 @@
+/* Weight scaling for Orbity.
+Turns raw tag weights (e.g. term frequencies) into font sizes and colors.
+Like the layout math it is DOM-free, so the SVG export can share it. */
+
+export const WEIGHT_SCALES = ["linear", "log", "sqrt"];
+
+const SCALE_FUNCTIONS = {
+  linear: (weight) => weight,
+  log: (weight) => Math.log1p(Math.max(weight, 0)),
+  sqrt: (weight) => Math.sqrt(Math.max(weight, 0)),
+};
+
+/**
+ * Parses a "#rgb" or "#rrggbb" hex color.
+ * @param {string} color - The color to parse.
+ * @returns {Array<number>|null} The red, green and blue channels (0-255), or null if the color is not a hex color.
+ */
+export function parseHexColor(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || "");
+  if (!match) return null;
+  const hex =
+    match[1].length === 3
+      ? match[1].replace(/./g, (channel) => channel + channel)
+      : match[1];
+  return [0, 2, 4].map((offset) => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+/**
+ * Picks a color along a ramp of evenly spaced hex colors.
+ * @param {Array<string>} ramp - Two or more hex colors, from lowest to highest weight.
+ * @param {number} t - Position along the ramp, from 0 to 1.
+ * @returns {string} The interpolated color as "#rrggbb".
+ */
+export function interpolateColor(ramp, t) {
+  const stops = ramp.map(parseHexColor);
+  const position = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const local = position - index;
+  return (
+    "#" +
+    stops[index]
+      .map((channel, i) =>
+        Math.round(channel + (stops[index + 1][i] - channel) * local)
+          .toString(16)
+          .padStart(2, "0")
+      )
+      .join("")
+  );
+}
+
+/**
+ * Moves a hex color part of the way towards another one.
+ * @param {string} color - The hex color to move.
+ * @param {string} target - The hex color to move towards.
+ * @param {number} amount - How far to move, from 0 to 1.
+ * @returns {string} The mixed color as "#rrggbb", or `color` itself if there is nothing to mix or either color is not a hex color.
+ */
+export function mixColors(color, target, amount) {
+  if (!(amount > 0) || !parseHexColor(color) || !parseHexColor(target)) {
+    return color;
+  }
+  return interpolateColor([color, target], amount);
+}
+
+/**
+ * Computes the font size and ramp color of every tag from its `weight`.
+ * Weights are normalized between the smallest and largest weight in the
+ * list; tags without a weight, and explicit `fontSize` and `color` fields,
+ * are left alone.
+ * @param {Array<Object>} tags - The tags.
+ * @param {Object} [options] - Scaling options.
+ * @param {number} [options.minFontSize=12] - Font size of the lightest tag.
+ * @param {number} [options.maxFontSize=32] - Font size of the heaviest tag.
+ * @param {string} [options.weightScale="linear"] - "linear", "log" or "sqrt".
+ * @param {Array<string>} [options.colorRamp] - Two or more hex colors from lightest to heaviest.
+ * @returns {Array<{fontSize: (number|undefined), color: (string|undefined)}>} One entry per tag.
+ */
+export function scaleWeights(tags, options = {}) {
+  const {
+    minFontSize = 12,
+    maxFontSize = 32,
+    weightScale = "linear",
+    colorRamp,
+  } = options;
+  const scale = SCALE_FUNCTIONS[weightScale] || SCALE_FUNCTIONS.linear;
+  const weighted = tags.filter((tag) => Number.isFinite(tag && tag.weight));
+  const values = weighted.map((tag) => scale(tag.weight));
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const ramp =
+    Array.isArray(colorRamp) &&
+    colorRamp.length >= 2 &&
+    colorRamp.every(parseHexColor)
+      ? colorRamp
+      : null;
+
+  return tags.map((tag) => {
+    if (!Number.isFinite(tag && tag.weight)) {
+      return { fontSize: undefined, color: undefined };
+    }
+    const t = max > min ? (scale(tag.weight) - min) / (max - min) : 0.5;
+    return {
+      fontSize:
+        tag.fontSize === undefined
+          ? minFontSize + (maxFontSize - minFontSize) * t
+          : undefined,
+      color: ramp && !tag.color ? interpolateColor(ramp, t) : undefined,
+    };
+  });
+}
@@ -0,0 +1,28 @@
+// Type definitions for orbity/svg
+// Project: https://github.com/Ignithia/orbity.js
+// Definitions by: Ignithia <https://www.ryanvdv-portfolio.be/>
+
+import { OrbityTag, OrbityThemeName, OrbityThemeOptions } from './index';
+import { OrbityDepthEffects, OrbityLayoutOptions, OrbityProjectionType } from './layout';
+
+export interface RenderSVGOptions extends OrbityLayoutOptions {
+    width: number;
+    height: number;
+    rotation?: { x?: number; y?: number };
+    zoom?: number;
+    projection?: OrbityProjectionType;
+    fov?: number;
+    cameraDistance?: number | null;
+    depthEffects?: OrbityDepthEffects;
+    theme?: OrbityThemeName | OrbityThemeOptions;
+    customFont?: string;
+    customFontWeight?: string;
+    minFontSize?: number;
+    maxFontSize?: number;
+    weightScale?: 'linear' | 'log' | 'sqrt';
+    colorRamp?: string[] | null;
+    background?: string;
+    title?: string;
+}
+
+export function renderSVG(tags: OrbityTag[], options: RenderSVGOptions): string;
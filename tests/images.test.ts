@@ -0,0 +1,20 @@
+import { describe, it, expect, vi } from 'vitest';
+import { getSvgUrl, revokeSvgUrl } from '../src/images';
+
+describe('Orbity Images', () => {
+  it('should reuse a tag SVG URL until the markup changes, then revoke it', () => {
+    const revoke = vi.spyOn(URL, 'revokeObjectURL');
+    const tag: Record<string, unknown> = { svg: '<svg xmlns="http://www.w3.org/2000/svg"/>' };
+    const url = getSvgUrl(tag);
+    expect(url).toMatch(/^blob:/);
+    expect(getSvgUrl(tag)).toBe(url);
+    tag.svg = '<svg xmlns="http://www.w3.org/2000/svg" width="1"/>';
+    const next = getSvgUrl(tag);
+    expect(next).not.toBe(url);
+    expect(revoke).toHaveBeenCalledWith(url);
+    revokeSvgUrl(tag);
+    expect(revoke).toHaveBeenCalledWith(next);
+    expect(tag._svgUrl).toBeNull();
+    revoke.mockRestore();
+  });
+});
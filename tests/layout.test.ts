@@ -0,0 +1,144 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  computeLayout,
+  getCameraDistance,
+  getDepthEffects,
+  getFrontRotation,
+  getLockedAxes,
+  getShapeNames,
+  MIN_CAMERA_DISTANCE,
+  projectPoint,
+  registerShape,
+  rollPoints,
+  rotatePoints,
+} from '../src/layout';
+
+describe('Orbity Layout', () => {
+  it('should place every tag for each shape', () => {
+    getShapeNames().forEach((shape) => {
+      const points = computeLayout(12, { shape, radius: 100 });
+      expect(points.length).toBe(12);
+      points.forEach((point) => {
+        expect(Number.isFinite(point.x)).toBe(true);
+        expect(Number.isFinite(point.y)).toBe(true);
+        expect(Number.isFinite(point.z)).toBe(true);
+      });
+    });
+  });
+
+  it('should place sphere tags on the radius', () => {
+    computeLayout(20, { shape: 'sphere', radius: 100 }).forEach(({ x, y, z }) => {
+      expect(Math.hypot(x, y, z)).toBeCloseTo(100);
+    });
+  });
+
+  it('should rotate points in place', () => {
+    const points = [{ x: 100, y: 0, z: 0 }];
+    rotatePoints(points, 0, Math.PI / 2);
+    expect(points[0].x).toBeCloseTo(0);
+    expect(points[0].z).toBeCloseTo(100);
+  });
+
+  it('should roll points in the screen plane', () => {
+    const points = [{ x: 100, y: 0, z: 50 }];
+    rollPoints(points, Math.PI / 2);
+    expect(points[0].x).toBeCloseTo(0);
+    expect(points[0].y).toBeCloseTo(100);
+    expect(points[0].z).toBe(50);
+  });
+
+  it('should bring a point to the front', () => {
+    const point = { x: 30, y: -40, z: 60 };
+    const rotation = getFrontRotation(point);
+    const [front] = rotatePoints([point], rotation.x, rotation.y);
+    expect(front.x).toBeCloseTo(0);
+    expect(front.y).toBeCloseTo(0);
+    expect(front.z).toBeCloseTo(-Math.hypot(30, 40, 60));
+  });
+
+  it('should project nearer points larger and more opaque', () => {
+    const viewport = { width: 400, height: 300 };
+    const near = projectPoint({ x: 0, y: 0, z: -100 }, viewport);
+    const far = projectPoint({ x: 0, y: 0, z: 100 }, viewport);
+    expect(near.x).toBe(200);
+    expect(near.y).toBe(150);
+    expect(near.scale).toBeGreaterThan(far.scale);
+    expect(near.opacity).toBeGreaterThan(far.opacity);
+  });
+
+  it('should magnify the projection around the center when zoomed', () => {
+    const point = { x: 50, y: -20, z: 0 };
+    const plain = projectPoint(point, { width: 400, height: 300 });
+    const zoomed = projectPoint(point, { width: 400, height: 300, zoom: 2 });
+    expect(zoomed.x - 200).toBeCloseTo((plain.x - 200) * 2);
+    expect(zoomed.y - 150).toBeCloseTo((plain.y - 150) * 2);
+    expect(zoomed.scale).toBeCloseTo(plain.scale * 2);
+    expect(zoomed.opacity).toBe(plain.opacity);
+  });
+
+  it('should look equally deep on any viewport size', () => {
+    const point = { x: 50, y: 0, z: -100 };
+    const banner = projectPoint(point, { width: 1200, height: 200 });
+    const widget = projectPoint(point, { width: 200, height: 200 });
+    expect(banner.scale).toBeCloseTo(widget.scale);
+    expect(banner.opacity).toBeCloseTo(widget.opacity);
+    expect(banner.x - 600).toBeCloseTo(widget.x - 100);
+  });
+
+  it('should follow the camera options', () => {
+    const point = { x: 0, y: 0, z: -100 };
+    const viewport = { width: 400, height: 300 };
+    const narrow = projectPoint(point, viewport, { fov: 20, radius: 100 });
+    const wide = projectPoint(point, viewport, { fov: 90, radius: 100 });
+    expect(wide.scale).toBeGreaterThan(narrow.scale);
+    expect(getCameraDistance({ fov: 60, radius: 100 })).toBeCloseTo(100 * Math.sqrt(3));
+    expect(getCameraDistance({ fov: 90, radius: 100, distance: 500 })).toBe(500);
+    expect(projectPoint(point, viewport, { distance: 500 }).scale).toBeCloseTo(1.25);
+    expect(projectPoint(point, viewport, { projection: 'orthographic' }).scale).toBe(1);
+  });
+
+  it('should keep the camera outside the cloud', () => {
+    const front = { x: 0, y: 0, z: -150 };
+    const viewport = { width: 400, height: 300 };
+    const maxScale = MIN_CAMERA_DISTANCE / (MIN_CAMERA_DISTANCE - 1);
+    expect(getCameraDistance({ radius: 150, distance: 100 })).toBe(150 * MIN_CAMERA_DISTANCE);
+    expect(getCameraDistance({ radius: 150, fov: 150 })).toBe(150 * MIN_CAMERA_DISTANCE);
+    expect(projectPoint(front, viewport, { radius: 150, distance: 100 }).scale).toBeCloseTo(maxScale);
+    expect(projectPoint(front, viewport, { radius: 150, fov: 150 }).scale).toBeCloseTo(maxScale);
+  });
+
+  it('should fade, shrink, fog and blur towards the back of the cloud', () => {
+    const camera = { radius: 100 };
+    const effects = { minOpacity: 0.4, scaleFalloff: 0.5, fog: 1, blur: 4 };
+    const front = getDepthEffects({ x: 0, y: 0, z: -100 }, camera, effects);
+    const back = getDepthEffects({ x: 0, y: 0, z: 100 }, camera, effects);
+    expect(front).toMatchObject({ depth: 0, scale: 1, fog: 0, blur: 0, hidden: false });
+    expect(back).toMatchObject({ depth: 1, scale: 0.5, fog: 1, blur: 4, opacity: 0.4 });
+    expect(front.opacity).toBe(1);
+    expect(getDepthEffects({ x: 0, y: 0, z: 0 }, camera, effects).opacity).toBeCloseTo(0.7);
+    expect(getDepthEffects({ x: 0, y: 0, z: -100 }, { radius: 100, fov: 10 }, effects).opacity).toBe(1);
+    expect(getDepthEffects({ x: 0, y: 0, z: 1 }, camera, { backFace: 'hidden' }).hidden).toBe(true);
+    expect(getDepthEffects({ x: 0, y: 0, z: 1 }, camera, { backFace: 'dimmed' }).opacity).toBe(0.2);
+  });
+
+  it('should lay out tags with a registered shape', () => {
+    const registered = registerShape('line', {
+      layout: (tags, { radius, spacing = 10 }) =>
+        tags.map((tag, i) => ({ x: i * spacing - radius, y: 0, z: 0 })),
+      lockAxes: { x: true },
+    });
+    expect(registered).toBe(true);
+    expect(getShapeNames()).toContain('line');
+    expect(getLockedAxes('line')).toEqual({ x: true, y: false });
+
+    const points = computeLayout([{}, {}, {}], { shape: 'line', radius: 50, spacing: 20 });
+    expect(points.map((point) => point.x)).toEqual([-50, -30, -10]);
+  });
+
+  it('should reject shapes without a layout function', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(registerShape('broken', {} as any)).toBe(false);
+    expect(getShapeNames()).not.toContain('broken');
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { getSafeHref, getSafeImageUrl } from '../src/links';
+import { renderSVG } from '../src/svg';
+
+describe('Orbity Links', () => {
+  it('should allow web, email and relative links', () => {
+    expect(getSafeHref('https://example.com/a')).toBe('https://example.com/a');
+    expect(getSafeHref('mailto:team@example.com')).toBe('mailto:team@example.com');
+    expect(getSafeHref('/docs')).toBe('/docs');
+    expect(getSafeHref('#top')).toBe('#top');
+    expect(getSafeHref('')).toBeNull();
+    expect(getSafeHref(undefined)).toBeNull();
+  });
+
+  it('should reject script and other schemes', () => {
+    expect(getSafeHref('javascript:alert(1)')).toBeNull();
+    expect(getSafeHref(' JavaScript:alert(1)')).toBeNull();
+    expect(getSafeHref('java\tscript:alert(1)')).toBeNull();
+    expect(getSafeHref('data:text/html,<script>alert(1)</script>')).toBeNull();
+    const svg = renderSVG([{ text: 'A', href: 'javascript:alert(1)' }], { width: 100, height: 100 });
+    expect(svg).not.toContain('<a');
+  });
+
+  it('should allow web, relative and data image URLs', () => {
+    expect(getSafeImageUrl('https://example.com/a.png')).toBe('https://example.com/a.png');
+    expect(getSafeImageUrl('logo.png')).toBe('logo.png');
+    expect(getSafeImageUrl('data:image/png;base64,AAAA')).toBe('data:image/png;base64,AAAA');
+    expect(getSafeImageUrl('data:text/html,<script>alert(1)</script>')).toBeNull();
+    expect(getSafeImageUrl('javascript:alert(1)')).toBeNull();
+  });
+});
@@ -1,5 +1,9 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import 'vitest-canvas-mock';
 import Orbity from '../src/orbity';
+import { getFrontRotation } from '../src/layout';
+import WebGLRenderer from '../src/renderers/webgl';
 
 describe('Orbity Core Features', () => {
   let canvas: HTMLCanvasElement;
@@ -10,6 +14,29 @@ describe('Orbity Core Features', () => {
     orbity = new Orbity(canvas, { radius: 100 });
   });
 
+  const stubFrames = () => {
+    const frames = new Map<number, FrameRequestCallback>();
+    let lastId = 0;
+    vi.stubGlobal('requestAnimationFrame', (callback: FrameRequestCallback) => {
+      frames.set(++lastId, callback);
+      return lastId;
+    });
+    vi.stubGlobal('cancelAnimationFrame', (id: number) => frames.delete(id));
+    const run = (limit = 1000) => {
+      let count = 0;
+      for (; count < limit && frames.size; count++) {
+        const [id, callback] = frames.entries().next().value!;
+        frames.delete(id);
+        callback(0);
+      }
+      return count;
+    };
+    return { frames, run };
+  };
+
+  const pointer = (type: string, clientX: number, pointerType = 'touch') =>
+    Object.assign(new Event(type), { pointerId: 1, pointerType, button: 0, clientX, clientY: 10 });
+
   it('should add a tag', () => {
     orbity.setTags([]);
     orbity.addTag({ text: 'Test', color: '#fff' });
@@ -47,4 +74,493 @@ describe('Orbity Core Features', () => {
     expect(orbity.settings.radius).toBe(200);
     expect(orbity.settings.speed).toBe(0.5);
   });
+
+  it('should emit a cancelable tagClick with the pointer position', () => {
+    orbity.setTags([{ text: 'A', color: '#fff', href: '/a' }]);
+    orbity.pause();
+    orbity.tags[0]._screen = { x: 10, y: 10, width: 20, height: 20 };
+    const followLink = vi.spyOn(orbity as any, '_followLink').mockImplementation(() => {});
+    const onClick = vi.fn((event) => event.preventDefault());
+    orbity.on('tagClick', onClick);
+    canvas.dispatchEvent(new MouseEvent('click', { clientX: 12, clientY: 8 }));
+    expect(onClick).toHaveBeenCalledTimes(1);
+    const [event] = onClick.mock.calls[0];
+    expect(event.tag.text).toBe('A');
+    expect(event.x).toBe(12);
+    expect(event.y).toBe(8);
+    expect(followLink).not.toHaveBeenCalled();
+    orbity.off('tagClick');
+    canvas.dispatchEvent(new MouseEvent('click', { clientX: 12, clientY: 8, ctrlKey: true }));
+    expect(followLink).toHaveBeenCalledWith(orbity.tags[0], '_blank');
+  });
+
+  it('should move keyboard focus between tags with Tab', () => {
+    orbity.setTags([{ text: 'A', color: '#fff' }, { text: 'B', color: '#000' }]);
+    const focused: string[] = [];
+    orbity.on('tagFocus', ({ tag }) => focused.push(tag.text!));
+    canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab' }));
+    canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab' }));
+    canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', shiftKey: true }));
+    expect(focused.length).toBe(3);
+    expect(focused[2]).toBe(focused[0]);
+    expect(focused[1]).not.toBe(focused[0]);
+  });
+
+  it('should turn a paused cloud to the focused tag', () => {
+    orbity.pause();
+    orbity.updateOptions({ transitionDuration: 0 });
+    orbity.setTags([{ text: 'A', color: '#fff' }, { text: 'B', color: '#000' }, { text: 'C', color: '#000' }]);
+    const frames: FrameRequestCallback[] = [];
+    vi.stubGlobal('requestAnimationFrame', (callback: FrameRequestCallback) => frames.push(callback));
+    orbity.focusTag(2);
+    for (let i = 0; i < 500 && frames.length; i++) frames.shift()!(0);
+    vi.unstubAllGlobals();
+    expect(frames.length).toBe(0);
+    const { x, y } = getFrontRotation(orbity.tags[2]);
+    expect(Math.abs(x) + Math.abs(y)).toBeLessThan(1e-3);
+  });
+
+  it('should announce the position of a tag in the focus order', () => {
+    const announced = new Orbity(document.createElement('canvas'), { announce: true, focusOrder: 'depth' });
+    announced.setTags([{ text: 'A', color: '#fff' }, { text: 'B', color: '#000' }, { text: 'C', color: '#000' }]);
+    const region = (announced as any)._liveRegion as HTMLElement;
+    const [first, second] = [...announced.tags].sort((a, b) => a.z! - b.z!);
+    announced.canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab' }));
+    expect(region.textContent).toBe(`${first.text}, 1 of 3`);
+    announced.canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab' }));
+    expect(region.textContent).toBe(`${second.text}, 2 of 3`);
+    announced.destroy();
+  });
+
+  it('should mirror tags for assistive technology', () => {
+    orbity.setTags([{ text: 'A', color: '#fff', href: '/a' }, { text: 'B', color: '#000' }]);
+    const controls = canvas.querySelectorAll('a, button');
+    expect(controls.length).toBe(2);
+    expect(controls[0].tagName).toBe('A');
+    expect(controls[1].textContent).toBe('B');
+    orbity.focusTag(1);
+    expect(canvas.getAttribute('aria-activedescendant')).toBe(controls[1].id);
+    orbity.removeTag(0);
+    expect(canvas.querySelectorAll('a, button').length).toBe(1);
+  });
+
+  it('should render tags as elements with the dom renderer', () => {
+    const container = document.createElement('div');
+    const domOrbity = new Orbity(container, { renderer: 'dom' });
+    domOrbity.setTags([{ text: 'A', color: '#fff', href: '/a' }, { text: 'B', color: '#000' }]);
+    const elements = container.querySelectorAll('.orbity-tag');
+    expect(elements.length).toBe(2);
+    expect(elements[0].tagName === 'A' || elements[1].tagName === 'A').toBe(true);
+    expect(container.querySelector('.orbity-layer')!.parentElement).toBe(container);
+    domOrbity.destroy();
+  });
+
+  it('should not mount the dom renderer inside a canvas', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const host = document.createElement('canvas');
+    const domOrbity = new Orbity(host, { renderer: 'dom' });
+    expect(error).toHaveBeenCalled();
+    expect(domOrbity.settings.renderer).toBe('canvas');
+    expect(host.querySelector('.orbity-layer')).toBeNull();
+    domOrbity.destroy();
+    error.mockRestore();
+  });
+
+  it('should fall back to canvas when WebGL is unavailable', () => {
+    const glCanvas = document.createElement('canvas');
+    glCanvas.getContext = ((type: string) =>
+      type === '2d' ? canvas.getContext('2d') : null) as HTMLCanvasElement['getContext'];
+    const glOrbity = new Orbity(glCanvas, { renderer: 'webgl' });
+    expect(glOrbity.settings.renderer).toBe('canvas');
+    glOrbity.destroy();
+  });
+
+  it('should fall back to canvas when WebGL fails on the host canvas', () => {
+    const supported = vi.spyOn(WebGLRenderer, 'isSupported').mockReturnValue(true);
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const glCanvas = document.createElement('canvas');
+    const requested: string[] = [];
+    glCanvas.getContext = ((type: string) => {
+      requested.push(type);
+      return type === '2d' ? canvas.getContext('2d') : null;
+    }) as HTMLCanvasElement['getContext'];
+    const glOrbity = new Orbity(glCanvas, { renderer: 'webgl' });
+    expect(glOrbity.settings.renderer).toBe('canvas');
+    expect(requested).toEqual(['webgl2', 'webgl', '2d']);
+    expect(warn).toHaveBeenCalled();
+    glOrbity.destroy();
+    supported.mockRestore();
+    warn.mockRestore();
+  });
+
+  it('should refuse to switch a canvas between 2D and WebGL contexts', () => {
+    const supported = vi.spyOn(WebGLRenderer, 'isSupported').mockReturnValue(true);
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const renderer = orbity.renderer;
+    orbity.updateOptions({ renderer: 'webgl' });
+    expect(error).toHaveBeenCalled();
+    expect(orbity.settings.renderer).toBe('canvas');
+    expect(orbity.renderer).toBe(renderer);
+    supported.mockRestore();
+    error.mockRestore();
+  });
+
+  it('should emit resize when the pixel ratio cap changes', () => {
+    const sizes: Array<{ width: number; height: number; pixelRatio: number }> = [];
+    orbity.on('resize', (size) => sizes.push(size));
+    orbity.updateOptions({ maxPixelRatio: 1 });
+    expect(sizes.length).toBe(1);
+    expect(sizes[0].pixelRatio).toBe(1);
+  });
+
+  it('should morph to a new shape and resolve when done', async () => {
+    orbity.setTags([{ text: 'A', color: '#fff' }, { text: 'B', color: '#000' }]);
+    const events: string[] = [];
+    orbity.on('transitionStart', () => events.push('start'));
+    orbity.on('transitionEnd', () => events.push('end'));
+    await expect(orbity.setShape('ring', { duration: 0 })).resolves.toBe(true);
+    expect(orbity.settings.shape).toBe('ring');
+    expect(orbity.tags.every((tag) => tag.y === 0)).toBe(true);
+    expect(events).toEqual(['start', 'end']);
+  });
+
+  it('should stop a running orientation turn when the shape changes', async () => {
+    orbity.setTags([{ text: 'A', color: '#fff' }, { text: 'B', color: '#000' }]);
+    orbity.pause();
+    orbity.rotateBy({ x: 0, y: 1, z: 0 }, 1);
+    const turn = orbity.resetOrientation({ duration: 1000 });
+    await orbity.setShape('ring', { duration: 0 });
+    await expect(turn).resolves.toBe(false);
+    expect(orbity.getOrientation().w).toBeCloseTo(1);
+  });
+
+  it('should size and color tags by weight', () => {
+    orbity.updateOptions({ minFontSize: 10, maxFontSize: 30, colorRamp: ['#000000', '#ffffff'] });
+    orbity.setTags([{ text: 'Light', weight: 1 }, { text: 'Heavy', weight: 3 }]);
+    const [light, heavy] = orbity.tags as Array<Record<string, unknown>>;
+    expect(light._weightFontSize).toBe(10);
+    expect(heavy._weightFontSize).toBe(30);
+    expect(heavy._weightColor).toBe('#ffffff');
+  });
+
+  it('should keep tag ids stable across removals', () => {
+    orbity.setTags([{ id: 'a', text: 'A', color: '#fff' }, { text: 'B', color: '#000' }]);
+    const generated = orbity.tags[1].id!;
+    expect(orbity.hasTag(generated)).toBe(true);
+    orbity.removeTagById('a');
+    expect(orbity.hasTag('a')).toBe(false);
+    orbity.updateTagById(generated, { color: '#ff0000' });
+    expect(orbity.getTag(generated)?.color).toBe('#ff0000');
+    expect(orbity.getTag(generated)?.id).toBe(generated);
+  });
+
+  it('should keep surviving tags when setting tags again', () => {
+    orbity.setTags([{ id: 'a', text: 'A', color: '#ffffff' }, { id: 'b', text: 'B', color: '#ffffff' }]);
+    const survivor = orbity.getTag('b');
+    const position = { x: survivor?.x, y: survivor?.y, z: survivor?.z };
+    orbity.setTags([{ id: 'b', text: 'B', color: '#000000' }, { id: 'c', text: 'C', color: '#ffffff' }]);
+    expect(orbity.getTag('b')).toBe(survivor);
+    expect(orbity.getTag('b')?.color).toBe('#000000');
+    expect({ x: survivor?.x, y: survivor?.y, z: survivor?.z }).toEqual(position);
+    expect(orbity.hasTag('a')).toBe(false);
+    expect(orbity.tags.map((tag) => tag.id)).toEqual(['b', 'c']);
+  });
+
+  it('should undo a transaction of tag and option changes at once', () => {
+    orbity.setTags([{ id: 'a', text: 'A', color: '#ffffff' }]);
+    const changes: boolean[] = [];
+    orbity.on('historyChange', ({ canRedo }) => changes.push(canRedo));
+    orbity.transaction(() => {
+      orbity.addTag({ id: 'b', text: 'B', color: '#ffffff' });
+      orbity.updateOptions({ radius: 80 });
+    });
+    orbity.undo();
+    expect(orbity.tags.map((tag) => tag.id)).toEqual(['a']);
+    expect(orbity.settings.radius).toBe(100);
+    expect(orbity.canRedo()).toBe(true);
+    orbity.redo();
+    expect(orbity.hasTag('b')).toBe(true);
+    expect(changes).toEqual([false, true, false]);
+  });
+
+  it('should restore a snapshot into a new instance', () => {
+    orbity.setTags([{ id: 'a', text: 'A', color: '#ffffff' }]);
+    orbity.updateOptions({ shape: 'ring', transitionDuration: 0 });
+    const snapshot = JSON.parse(JSON.stringify(orbity));
+    expect(snapshot.tags).toEqual([{ id: 'a', text: 'A', color: '#ffffff' }]);
+    const restored = Orbity.fromJSON(document.createElement('canvas'), Orbity.encodeSnapshot(snapshot));
+    expect(restored?.settings.shape).toBe('ring');
+    expect(restored?.getTag('a')?.x).toBeCloseTo(orbity.getTag('a')!.x!);
+    restored?.destroy();
+  });
+
+  it('should deliver event objects to on and once listeners', () => {
+    const paused = vi.fn();
+    const first = vi.fn();
+    orbity.on('pause', paused);
+    orbity.once('optionsChange', first);
+    orbity.pause();
+    orbity.updateOptions({ radius: 80 });
+    orbity.updateOptions({ radius: 90 });
+    expect(paused).toHaveBeenCalledWith({ type: 'pause', instance: orbity });
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(first.mock.calls[0][0].options).toEqual({ radius: 80 });
+    const destroyed = vi.fn();
+    orbity.on('destroy', destroyed);
+    orbity.destroy();
+    expect(destroyed).toHaveBeenCalledTimes(1);
+  });
+
+  it('should tell clicks from drags with pointer events', () => {
+    orbity.setTags([{ text: 'A', color: '#fff' }]);
+    orbity.pause();
+    orbity.tags[0]._screen = { x: 10, y: 10, width: 20, height: 20 };
+    const onClick = vi.fn();
+    const onDragStart = vi.fn();
+    orbity.on('tagClick', onClick);
+    orbity.on('dragStart', onDragStart);
+    canvas.dispatchEvent(pointer('pointerdown', 10));
+    canvas.dispatchEvent(pointer('pointermove', 12));
+    canvas.dispatchEvent(pointer('pointerup', 12));
+    canvas.dispatchEvent(new MouseEvent('click', { clientX: 12, clientY: 10 }));
+    expect(onClick).toHaveBeenCalledTimes(1);
+    canvas.dispatchEvent(pointer('pointerdown', 10));
+    canvas.dispatchEvent(pointer('pointermove', 40));
+    canvas.dispatchEvent(pointer('pointerup', 40));
+    canvas.dispatchEvent(new MouseEvent('click', { clientX: 40, clientY: 10 }));
+    expect(onDragStart).toHaveBeenCalledTimes(1);
+    expect(onClick).toHaveBeenCalledTimes(1);
+    expect(canvas.style.touchAction).toBe('pan-y');
+  });
+
+  it('should zoom within the zoom range', async () => {
+    orbity.updateOptions({ maxZoom: 3 });
+    const zooms: number[] = [];
+    orbity.on('zoom', ({ zoom }) => zooms.push(zoom));
+    await expect(orbity.zoomTo(5, { duration: 0 })).resolves.toBe(true);
+    expect(orbity.settings.zoom).toBe(3);
+    expect(zooms).toEqual([3]);
+    expect(orbity.canUndo()).toBe(true);
+    orbity.undo();
+    expect(orbity.settings.maxZoom).toBe(4);
+    expect(orbity.settings.zoom).toBe(3);
+  });
+
+  it('should rotate around any axis and reset the orientation', async () => {
+    orbity.setTags([{ text: 'A', color: '#fff' }]);
+    orbity.pause();
+    await orbity.resetOrientation({ duration: 0 });
+    const start = { x: orbity.tags[0].x!, y: orbity.tags[0].y!, z: orbity.tags[0].z! };
+    expect(orbity.rotateBy({ x: 0, y: 0, z: 1 }, Math.PI / 2)).toBe(true);
+    expect(orbity.tags[0].x).toBeCloseTo(-start.y);
+    expect(orbity.tags[0].y).toBeCloseTo(start.x);
+    expect(orbity.getOrientation().z).toBeCloseTo(Math.SQRT1_2);
+    await expect(orbity.resetOrientation({ duration: 0 })).resolves.toBe(true);
+    expect(orbity.getOrientation().w).toBeCloseTo(1);
+    expect(orbity.tags[0].x).toBeCloseTo(start.x);
+    await expect(orbity.setOrientation({ x: 0, y: 0, z: 0, w: 0 })).resolves.toBe(false);
+  });
+
+  it('should pass depth effects on to the renderer', () => {
+    orbity.setTags([{ text: 'A', color: '#ffffff' }]);
+    orbity.tags[0].z = 100;
+    orbity.updateOptions({ depthEffects: { fogColor: '#000000', fog: 0.5, blur: 2 } });
+    const render = vi.spyOn(orbity.renderer, 'render');
+    orbity.pause();
+    orbity.updateOptions({ depthEffects: { ...orbity.settings.depthEffects, minOpacity: 0.3 } });
+    const [item] = render.mock.calls[0][0];
+    expect(item.color).toBe('#808080');
+    expect(item.blur).toBe(2);
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    orbity.updateOptions({ depthEffects: { backFace: 'gone' as any } });
+    expect(orbity.settings.depthEffects?.backFace).toBe('visible');
+    error.mockRestore();
+  });
+
+  it('should give styled tags hit boxes that cover the whole box', () => {
+    orbity.updateOptions({ transitionDuration: 0 });
+    orbity.pause();
+    const ctx = (orbity.renderer as any).ctx as CanvasRenderingContext2D;
+    vi.spyOn(ctx, 'measureText').mockImplementation(
+      (text: string) => ({ width: text.length * parseFloat(/([\d.]+)px/.exec(ctx.font)![1]) * 0.5 }) as TextMetrics
+    );
+    const render = vi.spyOn(orbity.renderer, 'render');
+    orbity.setTags([
+      { text: 'Tag', color: '#ffffff', fontSize: 20 },
+      { text: 'Tag', color: '#ffffff', fontSize: 20, background: '#333333', padding: 6, borderWidth: 2 },
+    ]);
+    const items = render.mock.calls[render.mock.calls.length - 1][0];
+    const [plain, pill] = orbity.tags.map((tag) => {
+      const { fontSize } = items.find((item: any) => item.tag === tag);
+      return { width: (tag._screen.width * 20) / fontSize, height: (tag._screen.height * 20) / fontSize };
+    });
+    expect(pill.width).toBeCloseTo(plain.width + 16);
+    expect(pill.height).toBeCloseTo(20 + 16);
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    orbity.addTag({ text: 'Bad', color: '#ffffff', fontStyle: 'slanted' as any });
+    orbity.addTag({ text: 'Bad', color: '#ffffff', padding: -2 });
+    expect(orbity.tags.length).toBe(2);
+    error.mockRestore();
+  });
+
+  it('should apply themes and emit themeChange', () => {
+    orbity.setTags([{ text: 'A', color: '#336699' }]);
+    const themeChange = vi.fn();
+    orbity.on('themeChange', themeChange);
+    orbity.updateOptions({ theme: { name: 'high-contrast', focusRing: '#ff00ff' } });
+    expect(themeChange).toHaveBeenCalledTimes(1);
+    const theme = orbity.getTheme();
+    expect(theme.name).toBe('high-contrast');
+    expect(theme.focusRing).toBe('#ff00ff');
+    const render = vi.spyOn(orbity.renderer, 'render');
+    orbity.pause();
+    orbity.updateOptions({ theme: 'light' });
+    expect(render.mock.calls[0][0][0].color).toBe('#336699');
+    const style = document.createElement('style');
+    style.textContent = '.cloud canvas { --orbity-hover: #00ff00; }';
+    document.head.appendChild(style);
+    const wrapper = document.createElement('div');
+    wrapper.className = 'cloud';
+    wrapper.appendChild(canvas);
+    document.body.appendChild(wrapper);
+    orbity.refreshTheme();
+    expect(orbity.getTheme().hover).toBe('#00ff00');
+    wrapper.remove();
+    style.remove();
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    orbity.updateOptions({ theme: 'neon' as any });
+    expect(orbity.settings.theme).toBe('auto');
+    error.mockRestore();
+  });
+
+  it('should let the depthEffects option win over the theme', () => {
+    orbity.updateOptions({ transitionDuration: 0 });
+    orbity.setTags([{ text: 'A', color: '#ffffff' }]);
+    orbity.tags[0].z = 100;
+    orbity.updateOptions({ theme: 'high-contrast', depthEffects: { fogColor: '#000000', fog: 0.5, blur: 2 } });
+    const render = vi.spyOn(orbity.renderer, 'render');
+    orbity.pause();
+    orbity.updateOptions({ depthEffects: { fogColor: '#000000', fog: 0.5, blur: 2, minOpacity: 0.1 } });
+    const [item] = render.mock.calls[0][0];
+    expect(item.blur).toBe(2);
+    expect(item.opacity).toBeCloseTo(0.1);
+    orbity.updateOptions({ depthEffects: {} });
+    expect(render.mock.calls[1][0][0].blur).toBe(0);
+    expect(render.mock.calls[1][0][0].opacity).toBeCloseTo(0.6);
+  });
+
+  it('should stop motion and turn in instant steps with reduced motion', () => {
+    orbity.setTags([{ text: 'A' }, { text: 'B' }]);
+    orbity.velocity = { x: 0.02, y: 0.02, z: 0 };
+    orbity.updateOptions({ motion: 'reduced' });
+    expect(orbity.velocity).toEqual({ x: 0, y: 0, z: 0 });
+    const before = orbity.getOrientation();
+    canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight' }));
+    expect(orbity.rotation).toEqual({ x: 0, y: 0, z: 0 });
+    expect(orbity.getOrientation()).not.toEqual(before);
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    orbity.updateOptions({ motion: 'slow' as any });
+    expect(orbity.settings.motion).toBe('auto');
+    error.mockRestore();
+  });
+
+  it('should turn a still cloud with the arrow keys', () => {
+    orbity.updateOptions({ autoSpin: false });
+    orbity.setTags([{ text: 'A' }, { text: 'B' }]);
+    orbity.velocity = { x: 0, y: 0, z: 0 };
+    const before = orbity.getOrientation();
+    canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp' }));
+    expect(orbity.getOrientation()).not.toEqual(before);
+    expect(orbity.velocity).toEqual({ x: 0, y: 0, z: 0 });
+  });
+
+  it('should stop the animation loop once the cloud stops with renderOnDemand', () => {
+    const { frames, run } = stubFrames();
+    const cloud = new Orbity(document.createElement('canvas'), {
+      autoSpin: false,
+      renderOnDemand: true,
+      transitionDuration: 0,
+    });
+    cloud.setTags([{ text: 'A' }, { text: 'B' }]);
+    run();
+    expect(frames.size).toBe(0);
+    cloud.canvas.dispatchEvent(pointer('pointerdown', 10));
+    cloud.canvas.dispatchEvent(pointer('pointermove', 40));
+    cloud.canvas.dispatchEvent(pointer('pointerup', 40));
+    expect(cloud.velocity.y).not.toBe(0);
+    expect(run()).toBeGreaterThan(1);
+    expect(frames.size).toBe(0);
+    expect(cloud.velocity).toEqual({ x: 0, y: 0, z: 0 });
+    cloud.destroy();
+    vi.unstubAllGlobals();
+  });
+
+  it('should restart the animation loop after changes with renderOnDemand', async () => {
+    const { frames, run } = stubFrames();
+    const cloud = new Orbity(document.createElement('canvas'), {
+      autoSpin: false,
+      renderOnDemand: true,
+      transitionDuration: 0,
+    });
+    run();
+    cloud.setTags([{ text: 'A' }]);
+    expect(run()).toBe(1);
+    await cloud.zoomTo(2, { duration: 0 });
+    expect(run()).toBe(1);
+    cloud.tags[0]._screen = { x: 10, y: 10, width: 20, height: 20 };
+    cloud.canvas.dispatchEvent(pointer('pointermove', 12, 'mouse'));
+    expect(frames.size).toBe(1);
+    cloud.tags[0]._screen = { x: 10, y: 10, width: 20, height: 20 };
+    expect(run()).toBe(1);
+    expect(frames.size).toBe(0);
+    cloud.destroy();
+    vi.unstubAllGlobals();
+  });
+
+  it('should suspend the ease-out after a drag while the page is hidden', () => {
+    const { frames, run } = stubFrames();
+    const cloud = new Orbity(document.createElement('canvas'), {
+      autoSpin: false,
+      renderOnDemand: true,
+      transitionDuration: 0,
+    });
+    cloud.setTags([{ text: 'A' }, { text: 'B' }]);
+    run();
+    cloud.canvas.dispatchEvent(pointer('pointerdown', 10));
+    cloud.canvas.dispatchEvent(pointer('pointermove', 40));
+    cloud.canvas.dispatchEvent(pointer('pointerup', 40));
+    const state = vi.spyOn(document, 'visibilityState', 'get').mockReturnValue('hidden');
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(frames.size).toBe(0);
+    const velocity = { ...cloud.velocity };
+    cloud.setTags([{ text: 'C' }]);
+    expect(frames.size).toBe(0);
+    expect(cloud.velocity).toEqual(velocity);
+    state.mockReturnValue('visible');
+    document.dispatchEvent(new Event('visibilitychange'));
+    const frame = cloud.animFrame;
+    expect(frames.has(frame)).toBe(true);
+    frames.get(frame)!(0);
+    expect(Math.abs(cloud.velocity.y)).toBeLessThan(Math.abs(velocity.y));
+    const next = cloud.animFrame;
+    cloud.destroy();
+    expect(frames.has(next)).toBe(false);
+    state.mockRestore();
+    vi.unstubAllGlobals();
+  });
+
+  it('should suspend the animation loop while the page is hidden', () => {
+    const visibilityChange = vi.fn();
+    orbity.on('visibilityChange', visibilityChange);
+    const state = vi.spyOn(document, 'visibilityState', 'get').mockReturnValue('hidden');
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(visibilityChange).toHaveBeenCalledWith(expect.objectContaining({ visible: false }));
+    expect(orbity.animFrame).toBeNull();
+    state.mockReturnValue('visible');
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(visibilityChange).toHaveBeenLastCalledWith(expect.objectContaining({ visible: true }));
+    expect(orbity.animFrame).not.toBeNull();
+    state.mockRestore();
+    orbity.destroy();
+  });
 });
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import {
+  quaternionBetween,
+  quaternionFromAxisAngle,
+  quaternionFromBasis,
+  quaternionFromRotationVector,
+  quaternionToRotationVector,
+  rotatePointsByQuaternion,
+  slerpQuaternions,
+} from '../src/quaternion';
+
+describe('Orbity Quaternions', () => {
+  it('should turn one direction into another', () => {
+    const from = { x: 0, y: 0, z: -1 };
+    const to = { x: 0.6, y: 0, z: -0.8 };
+    const [point] = rotatePointsByQuaternion([{ ...from }], quaternionBetween(from, to));
+    expect(point.x).toBeCloseTo(0.6);
+    expect(point.y).toBeCloseTo(0);
+    expect(point.z).toBeCloseTo(-0.8);
+  });
+
+  it('should recover a rotation from its basis and rotation vector', () => {
+    const q = quaternionFromAxisAngle({ x: 1, y: -2, z: 2 }, 2.5);
+    const basis = rotatePointsByQuaternion(
+      [{ x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 1 }],
+      q
+    );
+    const recovered = quaternionFromBasis(basis);
+    expect(recovered.x).toBeCloseTo(q.x);
+    expect(recovered.w).toBeCloseTo(q.w);
+    const vector = quaternionToRotationVector(q);
+    expect(Math.hypot(vector.x, vector.y, vector.z)).toBeCloseTo(2.5);
+    expect(quaternionFromRotationVector(vector).y).toBeCloseTo(q.y);
+  });
+
+  it('should interpolate along the shortest arc', () => {
+    const a = quaternionFromAxisAngle({ x: 0, y: 1, z: 0 }, 0);
+    const b = quaternionFromAxisAngle({ x: 0, y: 1, z: 0 }, Math.PI / 2);
+    const half = slerpQuaternions(a, b, 0.5);
+    expect(quaternionToRotationVector(half).y).toBeCloseTo(Math.PI / 4);
+    const negated = { x: -b.x, y: -b.y, z: -b.z, w: -b.w };
+    expect(quaternionToRotationVector(slerpQuaternions(a, negated, 0.5)).y).toBeCloseTo(
+      Math.PI / 4
+    );
+  });
+});
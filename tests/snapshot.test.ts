@@ -0,0 +1,24 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SNAPSHOT_VERSION, decodeSnapshot, encodeSnapshot, readSnapshot } from '../src/snapshot';
+
+describe('Orbity Snapshots', () => {
+  it('should round-trip a snapshot through a URL-safe string', () => {
+    const snapshot = {
+      version: SNAPSHOT_VERSION,
+      tags: [{ id: 'a', text: 'Ünïcode ✓ ?&/', color: '#ffffff' }],
+      settings: { shape: 'helix' },
+    };
+    const encoded = encodeSnapshot(snapshot);
+    expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeSnapshot(encoded)).toEqual(snapshot);
+    expect(readSnapshot(encoded)).toEqual(snapshot);
+  });
+
+  it('should reject unsupported or malformed snapshots', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(readSnapshot({ version: SNAPSHOT_VERSION + 1, tags: [] })).toBeNull();
+    expect(readSnapshot({ version: SNAPSHOT_VERSION })).toBeNull();
+    expect(readSnapshot('not a snapshot')).toBeNull();
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { getTagFont, hasTagBox, layoutTagBox, wrapText } from '../src/style';
+
+// Every character is half the font size wide.
+const measure = (text: string, font = '10px sans-serif') =>
+  text.length * parseFloat(/([\d.]+)px/.exec(font)![1]) * 0.5;
+
+describe('Orbity Style', () => {
+  it('should build per-tag fonts and wrap text between words', () => {
+    expect(getTagFont({ fontStyle: 'italic', fontWeight: 700 }, 12, { customFont: 'Arial' })).toBe(
+      'italic 700 12px Arial'
+    );
+    expect(getTagFont({}, 12)).toBe('normal normal 12px sans-serif');
+    expect(wrapText('one two three\nfour', 40, (line) => measure(line))).toEqual([
+      'one two',
+      'three',
+      'four',
+    ]);
+    expect(wrapText('extraordinary', 10, (line) => measure(line))).toEqual(['extraordinary']);
+  });
+
+  it('should lay out the full box around icon, lines, padding and border', () => {
+    const box = layoutTagBox(
+      { text: 'ab cd', svg: '<svg/>', showText: true, padding: 4, borderWidth: 1, maxWidth: 10 },
+      10,
+      measure
+    );
+    expect(box.lines.map(({ text }) => text)).toEqual(['ab', 'cd']);
+    expect(box.width).toBe(10 + 3 + 10 + 10);
+    expect(box.height).toBe(22 + 10);
+    expect(box.radius).toBe(16);
+    expect(box.icon).toEqual({ x: -11.5, y: -5, size: 10 });
+  });
+
+  it('should only give styled tags a box', () => {
+    expect(hasTagBox({ text: 'Plain' })).toBe(false);
+    expect(hasTagBox({ text: 'Logo', imageUrl: 'logo.png' })).toBe(false);
+    expect(hasTagBox({ text: 'Logo', imageUrl: 'logo.png', showText: true })).toBe(true);
+    expect(hasTagBox({ text: 'Two\nlines' })).toBe(true);
+    expect(hasTagBox({ text: 'Pill', background: '#333333' })).toBe(true);
+  });
+});
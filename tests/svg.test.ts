@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { renderSVG } from '../src/svg';
+
+describe('Orbity SVG Export', () => {
+  it('should export text, image and inline SVG tags', () => {
+    const svg = renderSVG(
+      [
+        { text: 'A & B', color: '#ff0000', href: '/ab' },
+        { imageUrl: 'logo.png' },
+        { svg: '<svg width="10" height="10"><circle r="5"/></svg>' },
+      ],
+      { width: 400, height: 300, shape: 'sphere', radius: 100 }
+    );
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    expect(svg).toContain('>A &amp; B</text>');
+    expect(svg).toContain('<a xlink:href="/ab">');
+    expect(svg).toContain('<image xlink:href="logo.png"');
+    expect(svg).toContain('viewBox="0 0 10 10"');
+    expect(svg).toContain('<circle r="5"/>');
+  });
+
+  it('should strip script and unsafe links from inline SVG and image tags', () => {
+    const svg = renderSVG(
+      [
+        {
+          svg:
+            '<svg width="10" height="10" onload="alert(1)"><script>alert(2)</script>' +
+            '<foreignObject><iframe src="https://example.com"></iframe></foreignObject>' +
+            '<a xlink:href="&#106;avascript:alert(3)"><circle r="5" ONCLICK=\'alert(4)\'/></a>' +
+            '<a href="/safe"><set attributeName="href" to="javascript:alert(5)"/><rect width="1" height="1"/></a></svg>',
+        },
+        { imageUrl: 'javascript:alert(6)' },
+        { imageUrl: 'data:image/png;base64,AAAA' },
+      ],
+      { width: 400, height: 300, radius: 100 }
+    );
+    expect(svg).not.toMatch(/script|alert|onload|onclick|foreignObject|iframe|<set/i);
+    expect(svg).toContain('<circle r="5"/>');
+    expect(svg).toContain('<a href="/safe">');
+    expect(svg).toContain('<image xlink:href="data:image/png;base64,AAAA"');
+  });
+
+  it('should apply depth effects to exported tags', () => {
+    const svg = renderSVG(
+      [
+        { text: 'Front', color: '#ffffff', x: 0, y: 0, z: -100 },
+        { text: 'Middle', color: '#ffffff', x: 0, y: 0, z: 0 },
+        { text: 'Back', color: '#ffffff', x: 0, y: 0, z: 100 },
+      ],
+      {
+        width: 200,
+        height: 100,
+        radius: 100,
+        depthEffects: { fogColor: '#000000', fog: 1, blur: 2, backFace: 'hidden' },
+      }
+    );
+    expect(svg).not.toContain('>Back</text>');
+    expect(svg).toContain('fill="#808080"');
+    expect(svg).toContain('<feGaussianBlur stdDeviation="1"/>');
+  });
+
+  it('should export styled tags as boxes', () => {
+    const svg = renderSVG(
+      [
+        {
+          text: 'Hello world',
+          color: '#ffffff',
+          fontFamily: 'Georgia',
+          fontStyle: 'italic',
+          background: '#222222',
+          padding: 4,
+          maxWidth: 40,
+          shadowColor: '#ff0000',
+          shadowBlur: 6,
+          x: 0,
+          y: 0,
+          z: 0,
+        },
+      ],
+      { width: 200, height: 100 }
+    );
+    expect(svg).toContain('<g transform="translate(100 50) scale(1)"');
+    expect(svg).toContain('fill="#222222"');
+    expect(svg).toContain('font-family="Georgia" font-weight="normal" font-style="italic"');
+    expect(svg).toContain('>Hello</tspan><tspan');
+    expect(svg).toContain('<feDropShadow dx="0" dy="0" stdDeviation="3" flood-color="#ff0000"/>');
+    expect(svg).toContain('filter="url(#orbity-shadow-0)"');
+  });
+
+  it('should keep the coordinates of positioned tags', () => {
+    const svg = renderSVG([{ text: 'A', x: 0, y: 0, z: 0 }], { width: 200, height: 100 });
+    expect(svg).toContain('<text x="100" y="57.5"');
+  });
+});
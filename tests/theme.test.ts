@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_DEPTH_EFFECTS } from '../src/layout';
+import { getThemedDepthEffects, resolveTheme } from '../src/theme';
+
+describe('Orbity Theme', () => {
+  it('should follow the color preferences in auto mode', () => {
+    expect(resolveTheme().name).toBe('dark');
+    expect(resolveTheme('auto', { colorScheme: 'light' }).name).toBe('light');
+    expect(resolveTheme('auto', { colorScheme: 'light', forcedColors: true }).name).toBe('high-contrast');
+    expect(resolveTheme('dark', { colorScheme: 'light' }).text).toBe('#ffffff');
+  });
+
+  it('should layer CSS custom properties and theme fields over the named theme', () => {
+    const theme = resolveTheme(
+      { name: 'light', hover: '#ff0000', depthEffects: { blur: 1 } },
+      { properties: { text: '#111111', hover: '#00ff00' } }
+    );
+    expect(theme.text).toBe('#111111');
+    expect(theme.hover).toBe('#ff0000');
+    expect(theme.focusRing).toBe('#2563eb');
+    expect(theme.depthEffects).toEqual({ blur: 1 });
+  });
+
+  it('should let themes fill in depth effects and the fog color', () => {
+    const effects = getThemedDepthEffects({ fog: 0.5, fogColor: null }, resolveTheme('high-contrast'));
+    expect(effects).toEqual({ ...DEFAULT_DEPTH_EFFECTS, minOpacity: 0.6, fog: 0.5, blur: 0, fogColor: null });
+    expect(getThemedDepthEffects({ fogColor: null }, resolveTheme('light')).fogColor).toBe('#ffffff');
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { interpolateColor, parseHexColor, scaleWeights } from '../src/weights';
+
+describe('Orbity Weights', () => {
+  it('should scale weights between the font size bounds', () => {
+    const sizes = scaleWeights([{ weight: 1 }, { weight: 5 }, { weight: 9 }], {
+      minFontSize: 10,
+      maxFontSize: 30,
+    }).map(({ fontSize }) => fontSize);
+    expect(sizes).toEqual([10, 20, 30]);
+  });
+
+  it('should compress heavy weights with log and sqrt scaling', () => {
+    const tags = [{ weight: 0 }, { weight: 100 }, { weight: 10000 }];
+    const linear = scaleWeights(tags)[1].fontSize!;
+    const sqrt = scaleWeights(tags, { weightScale: 'sqrt' })[1].fontSize!;
+    const log = scaleWeights(tags, { weightScale: 'log' })[1].fontSize!;
+    expect(sqrt).toBeGreaterThan(linear);
+    expect(log).toBeGreaterThan(sqrt);
+  });
+
+  it('should keep explicit sizes and colors and skip unweighted tags', () => {
+    const [explicit, unweighted] = scaleWeights(
+      [{ weight: 3, fontSize: 18, color: '#123456' }, { text: 'A' }],
+      { colorRamp: ['#000000', '#ffffff'] }
+    );
+    expect(explicit).toEqual({ fontSize: undefined, color: undefined });
+    expect(unweighted).toEqual({ fontSize: undefined, color: undefined });
+  });
+
+  it('should interpolate along a color ramp', () => {
+    const ramp = ['#000', '#ff0000', '#ffffff'];
+    expect(parseHexColor('#f80')).toEqual([255, 136, 0]);
+    expect(parseHexColor('red')).toBeNull();
+    expect(interpolateColor(ramp, 0)).toBe('#000000');
+    expect(interpolateColor(ramp, 0.5)).toBe('#ff0000');
+    expect(interpolateColor(ramp, 0.75)).toBe('#ff8080');
+    expect(interpolateColor(ramp, 1)).toBe('#ffffff');
+  });
+});
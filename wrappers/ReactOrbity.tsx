@@ -1,13 +1,20 @@
 import React, { useEffect, useRef } from "react";
-import Orbity, { OrbityOptions, OrbityTag } from "../index.d";
+import Orbity, {
+  OrbityOptions,
+  OrbityTag,
+  OrbityTagClickEvent,
+  OrbityTagEvent,
+} from "../index.d";
 
 export interface ReactOrbityProps extends OrbityOptions {
   tags: OrbityTag[];
   style?: React.CSSProperties;
   className?: string;
-  onTagClick?: (tag: OrbityTag) => void;
-  onTagHover?: (tag: OrbityTag) => void;
-  onTagLeave?: (tag: OrbityTag) => void;
+  onTagClick?: (event: OrbityTagClickEvent) => void;
+  onTagHover?: (event: OrbityTagEvent<"tagHover">) => void;
+  onTagLeave?: (event: OrbityTagEvent<"tagLeave">) => void;
+  onTagFocus?: (event: OrbityTagEvent<"tagFocus">) => void;
+  onTagBlur?: (event: OrbityTagEvent<"tagBlur">) => void;
   width?: number;
   height?: number;
 }
@@ -19,6 +26,8 @@ const ReactOrbity: React.FC<ReactOrbityProps> = ({
   onTagClick,
   onTagHover,
   onTagLeave,
+  onTagFocus,
+  onTagBlur,
   width,
   height,
   ...options
@@ -30,18 +39,11 @@ const ReactOrbity: React.FC<ReactOrbityProps> = ({
     if (canvasRef.current) {
       orbityRef.current = new Orbity(canvasRef.current, options);
       orbityRef.current.setTags(tags);
-      if (onTagClick)
-        orbityRef.current.on("tagClick", (tag?: OrbityTag) => {
-          if (tag) onTagClick(tag);
-        });
-      if (onTagHover)
-        orbityRef.current.on("tagHover", (tag?: OrbityTag) => {
-          if (tag) onTagHover(tag);
-        });
-      if (onTagLeave)
-        orbityRef.current.on("tagLeave", (tag?: OrbityTag) => {
-          if (tag) onTagLeave(tag);
-        });
+      if (onTagClick) orbityRef.current.on("tagClick", onTagClick);
+      if (onTagHover) orbityRef.current.on("tagHover", onTagHover);
+      if (onTagLeave) orbityRef.current.on("tagLeave", onTagLeave);
+      if (onTagFocus) orbityRef.current.on("tagFocus", onTagFocus);
+      if (onTagBlur) orbityRef.current.on("tagBlur", onTagBlur);
     }
     return () => {
       orbityRef.current?.destroy();
@@ -62,7 +64,6 @@ const ReactOrbity: React.FC<ReactOrbityProps> = ({
       className={className}
       tabIndex={0}
       aria-label="3D tag cloud visualization"
-      role="img"
     />
   );
 };